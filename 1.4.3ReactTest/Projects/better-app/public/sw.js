@@ -0,0 +1,221 @@
+// public/sw.js
+// Service worker for the installable app and for logging reminders.
+//
+// Offline: a build writes sw-precache.js (see vite.config.js) listing the
+// build's files under a version id. They are cached on install and served
+// cache-first, so the app starts without a connection; page loads fall back
+// to the cached app shell, then to offline.html. A new deploy changes
+// sw-precache.js, which installs a new worker; it waits until the page asks
+// it to take over ("sw:skip-waiting") so a running tab is not switched to new
+// files underneath it. The dev server has no sw-precache.js, so nothing is
+// cached or intercepted there.
+//
+// Reminders: the page sends the reminder settings and the dates that already
+// have an entry ("reminders:sync") and asks for a check every minute while it
+// is open, even in a background tab ("reminders:check"); installed apps also
+// get `periodicsync` checks when the page is closed. State lives in IndexedDB
+// because workers are stopped and restarted at will.
+
+let PRECACHE = { version: "dev", files: [] };
+try {
+  self.importScripts("sw-precache.js");
+  PRECACHE = self.PRECACHE || PRECACHE;
+} catch {
+  // dev server: nothing to precache
+}
+const SHELL_CACHE_PREFIX = "dpt-shell-";
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${PRECACHE.version}`;
+
+const DB_NAME = "dpt-reminders";
+const STORE = "state";
+const PERIODIC_TAG = "dpt-reminders";
+// How long after its time a reminder may still be shown (e.g. when the
+// browser was asleep, or quiet hours held it back).
+const GRACE_MS = 3 * 60 * 60 * 1000;
+
+self.addEventListener("install", (event) => event.waitUntil(precache()));
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(SHELL_CACHE_PREFIX) && k !== SHELL_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (!PRECACHE.files.length || request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(request.mode === "navigate" ? navigate(request) : fromCache(request));
+});
+
+self.addEventListener("message", (event) => {
+  const { type, config } = event.data || {};
+  if (type === "sw:skip-waiting") self.skipWaiting();
+  if (type === "reminders:sync") event.waitUntil(update((state) => ({ ...state, config })).then(() => checkReminders()));
+  if (type === "reminders:check") event.waitUntil(checkReminders());
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === PERIODIC_TAG) event.waitUntil(checkReminders());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  const { reminderId, date } = event.notification.data || {};
+  event.notification.close();
+  if (event.action === "snooze") {
+    event.waitUntil(
+      update((state) => {
+        const minutes = state.config?.snoozeMinutes || 30;
+        return { ...state, snoozed: { ...state.snoozed, [reminderId]: { until: Date.now() + minutes * 60000, date } } };
+      })
+    );
+    return;
+  }
+  event.waitUntil(openApp());
+});
+
+/* ----------------- offline ----------------- */
+
+function scopeURL(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+async function precache() {
+  if (!PRECACHE.files.length) return;
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(PRECACHE.files.map((f) => new Request(scopeURL(f), { cache: "reload" })));
+}
+
+async function fromCache(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  return (await cache.match(request, { ignoreSearch: true })) || fetch(request);
+}
+
+// The app is a single page, so every page load gets the cached shell.
+async function navigate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const shell = await cache.match(scopeURL("./"));
+  if (shell) return shell;
+  try {
+    return await fetch(request);
+  } catch {
+    return (await cache.match(scopeURL("offline.html"))) || new Response("You are offline.", { status: 503, headers: { "Content-Type": "text/plain" } });
+  }
+}
+
+/* ----------------- reminder rules ----------------- */
+
+async function checkReminders(now = new Date()) {
+  const state = await read();
+  const config = state.config;
+  if (!config?.enabled || Notification.permission !== "granted") return;
+  const today = localDate(now);
+  const fired = { ...state.fired };
+  const snoozed = { ...state.snoozed };
+  let changed = false;
+
+  for (const reminder of config.reminders.filter((r) => r.enabled)) {
+    const due = lastOccurrence(reminder, now);
+    const snooze = snoozed[reminder.id];
+    let show = false;
+
+    if (snooze && snooze.date !== today) {
+      delete snoozed[reminder.id];
+      changed = true;
+    } else if (snooze) {
+      show = now.getTime() >= snooze.until;
+    } else if (due && fired[reminder.id] !== localDate(due)) {
+      show = now - due <= GRACE_MS && localDate(due) === today;
+    }
+    if (!show || inQuietHours(now, config.quietHours)) continue;
+
+    // A "log today" reminder is pointless once today has an entry.
+    if (reminder.kind === "log" && (config.loggedDates || []).includes(today)) {
+      fired[reminder.id] = today;
+      delete snoozed[reminder.id];
+      changed = true;
+      continue;
+    }
+
+    await self.registration.showNotification(reminder.kind === "log" ? "Log your day" : "Weekly review", {
+      body: reminder.kind === "log" ? "Today has no entry yet — take a minute to log it." : "Look back at the week: wins, challenges and next week's focus.",
+      tag: `dpt-reminder-${reminder.id}`,
+      icon: `${self.registration.scope}vite.svg`,
+      data: { reminderId: reminder.id, date: today },
+      actions: [
+        { action: "open", title: reminder.kind === "log" ? "Log now" : "Open" },
+        { action: "snooze", title: `Snooze ${config.snoozeMinutes || 30} min` },
+      ],
+    });
+    fired[reminder.id] = today;
+    delete snoozed[reminder.id];
+    changed = true;
+  }
+
+  if (changed) await update((s) => ({ ...s, fired, snoozed }));
+}
+
+// The latest scheduled time of `reminder` at or before `now`, looking back a
+// week, or null.
+function lastOccurrence(reminder, now) {
+  const [h, m] = reminder.time.split(":").map(Number);
+  for (let back = 0; back < 7; back++) {
+    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() - back, h, m);
+    if (d <= now && reminder.days.includes(d.getDay())) return d;
+  }
+  return null;
+}
+
+// Quiet hours may run past midnight (e.g. 22:00–07:00).
+function inQuietHours(now, quiet) {
+  if (!quiet?.enabled) return false;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const [start, end] = [quiet.start, quiet.end].map((t) => {
+    const [h, m] = t.split(":").map(Number);
+    return h * 60 + m;
+  });
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function localDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+async function openApp() {
+  const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  if (windows.length) return windows[0].focus();
+  return self.clients.openWindow(self.registration.scope);
+}
+
+/* ----------------- IndexedDB state ----------------- */
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function read() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE).objectStore(STORE).get("state");
+    req.onsuccess = () => resolve(req.result || { config: null, fired: {}, snoozed: {} });
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function update(fn) {
+  const next = fn(await read());
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).put(next, "state");
+    tx.oncomplete = () => resolve(next);
+    tx.onerror = () => reject(tx.error);
+  });
+}
@@ -1,17 +1,26 @@
-import React, { useState, useEffect, useMemo } from "react";
-import {
-  PieChart,
-  Pie,
-  Cell,
-  Tooltip,
-  BarChart,
-  Bar,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  ResponsiveContainer,
-} from "recharts";
+import React, { useState, useEffect, useMemo, useCallback } from "react";
 import './index.css';
+import { toCSV, downloadCSV } from "./csv";
+import CsvImport from "./components/CsvImport";
+import { DUPLICATE_POLICIES, applyDuplicatePolicy, findDuplicateGroups, resolveDuplicates } from "./duplicates";
+import { describeStorageError } from "./persistence";
+import { useSyncedList } from "./tabSync";
+import { canonicalJSON } from "./records";
+import { TRASH_RETENTION_DAYS, isActive, moveToTrash, restoreFromTrash, purgeFromTrash, purgeExpired, daysUntilPurge } from "./trash";
+import { useUndoHistory } from "./undoHistory";
+import Toast from "./components/Toast";
+import TaskListEditor from "./components/TaskListEditor";
+import { countTasks, cleanTasks, findRollover, markCarried } from "./tasks";
+import { parseQuery } from "./query";
+import { useSearchIndex } from "./searchIndex";
+import Highlight from "./components/Highlight";
+import { ANALYTICS_WINDOWS, resolveWindow, summarize } from "./analytics";
+import { localToday } from "./dates";
+import { computeInsights } from "./insights";
+import InsightsPanel from "./components/InsightsPanel";
+import CalendarHeatmap from "./components/CalendarHeatmap";
+import Dashboard from "./components/Dashboard";
+import GoalsPanel from "./components/GoalsPanel";
 
 
 // Single-file React component for a Daily Progress Tracker
@@ -19,109 +28,283 @@ import './index.css';
 // Dependencies: recharts (npm i recharts). Tailwind CSS classes used for styling.
 
 const STORAGE_KEY = "daily-progress-tracker-v1";
-const COLORS = ["#4ade80", "#f59e0b", "#f97316", "#ef4444", "#60a5fa"];
+const POLICY_KEY = "daily-progress-tracker-duplicate-policy";
+const SAVED_SEARCHES_KEY = "daily-progress-tracker-saved-searches";
+const GOALS_KEY = "daily-progress-tracker-goals";
+const MAX_REVISIONS = 20;
+const EDITABLE_FIELDS = [
+  "date",
+  "plannedTasks",
+  "completedTasks",
+  "tasksNotes",
+  "wins",
+  "challenges",
+  "mood",
+  "tags",
+  "minutesFocused",
+  "tasks",
+];
+
+// Entries merged by id with what other open tabs have saved (tabSync.js).
+const ENTRY_STORE = { load: loadStoredEntries, save: saveStoredEntries };
+
+function loadStoredEntries() {
+  try {
+    return purgeExpired(JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]"));
+  } catch (e) {
+    console.error("failed to parse stored entries", e);
+    return [];
+  }
+}
+
+function saveStoredEntries(entries) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+}
 
 export default function App() {
-  const [entries, setEntries] = useState([]);
+  const [storageError, setStorageError] = useState(null);
+  const [entries, setEntries] = useSyncedList("v1-entries", loadStoredEntries, { ...ENTRY_STORE, onError: setStorageError });
   const [form, setForm] = useState(getEmptyForm());
-  const [query, setQuery] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [pendingEntry, setPendingEntry] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [duplicatePolicy, setDuplicatePolicy] = useState(() => localStorage.getItem(POLICY_KEY) || "ask");
+  const [query, setQuery] = useState(() => new URLSearchParams(window.location.search).get("q") || "");
+  const [savedSearches, setSavedSearches] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(SAVED_SEARCHES_KEY) || "[]");
+    } catch {
+      return [];
+    }
+  });
+  const [goals, setGoals] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(GOALS_KEY) || "[]");
+    } catch {
+      return [];
+    }
+  });
   const [filterTag, setFilterTag] = useState("");
+  const [sortBy, setSortBy] = useState("relevance");
   const [dateRange, setDateRange] = useState({ from: "", to: "" });
+  const [analyticsWindow, setAnalyticsWindow] = useState("30");
+  const [customWindow, setCustomWindow] = useState({ from: "", to: "" });
+  const [showTrash, setShowTrash] = useState(false);
+  const [toast, setToast] = useState(null);
+  const history = useUndoHistory(entries, setEntries);
 
   useEffect(() => {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (raw) {
-      try {
-        setEntries(JSON.parse(raw));
-      } catch (e) {
-        console.error("failed to parse stored entries", e);
-      }
-    }
-  }, []);
+    localStorage.setItem(POLICY_KEY, duplicatePolicy);
+  }, [duplicatePolicy]);
+
+  useEffect(() => {
+    localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(savedSearches));
+  }, [savedSearches]);
+
+  useEffect(() => {
+    localStorage.setItem(GOALS_KEY, JSON.stringify(goals));
+  }, [goals]);
 
+  // Keep the search in the address bar so a filtered view can be bookmarked.
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
-  }, [entries]);
+    const url = new URL(window.location.href);
+    if (query) url.searchParams.set("q", query);
+    else url.searchParams.delete("q");
+    window.history.replaceState(null, "", url);
+  }, [query]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo journal actions. Text
+  // fields keep their own native undo.
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  const closeToast = useCallback(() => setToast(null), []);
+
+  // Record an undoable change to entries and show a toast offering to undo it.
+  function act(label, updater) {
+    history.record(label, updater);
+    setToast({ message: label, action: { label: "Undo", run: undo } });
+  }
+
+  function undo() {
+    const label = history.undo();
+    if (label) setToast({ message: `Undid: ${label}`, action: { label: "Redo", run: redo } });
+  }
+
+  function redo() {
+    const label = history.redo();
+    if (label) setToast({ message: `Redid: ${label}`, action: { label: "Undo", run: undo } });
+  }
 
   function addEntry(e) {
     e?.preventDefault();
     const newEntry = {
       id: Date.now().toString(),
-      date: form.date,
-      plannedTasks: Number(form.plannedTasks) || 0,
-      completedTasks: Number(form.completedTasks) || 0,
-      tasksNotes: form.tasksNotes,
-      wins: form.wins,
-      challenges: form.challenges,
-      mood: Number(form.mood) || 3,
-      tags: form.tags
-        .split(",")
-        .map((t) => t.trim())
-        .filter(Boolean),
-      minutesFocused: Number(form.minutesFocused) || 0,
+      ...formToFields(form),
       createdAt: new Date().toISOString(),
     };
 
-    setEntries((s) => [newEntry, ...s]);
+    const hasSameDate = activeEntries.some((r) => r.date === newEntry.date);
+    if (hasSameDate && duplicatePolicy === "ask") {
+      setPendingEntry(newEntry);
+      return;
+    }
+    saveWithPolicy(newEntry, duplicatePolicy === "ask" ? "keep" : duplicatePolicy);
+  }
+
+  function saveWithPolicy(entry, policy) {
+    act(policy === "keep" ? "Entry added" : `Entry ${policy === "merge" ? "merged" : "replaced"} for ${entry.date}`, (s) =>
+      applyDuplicatePolicy(applyCarry(s, entry), entry, policy)
+    );
+    setPendingEntry(null);
+    setForm(getEmptyForm());
+  }
+
+  function cleanUpDuplicates(policy) {
+    if (!confirm(`Resolve ${duplicateGroups.length} duplicated date(s) using "${DUPLICATE_POLICIES[policy]}"?`)) return;
+    act("Duplicate days resolved", (s) => resolveDuplicates(s, policy));
+  }
+
+  function startEdit(entry) {
+    setEditingId(entry.id);
+    setForm(entryToForm(entry));
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  // Open a day from the calendar: its entry in the editor, or a blank form
+  // for that date when nothing was logged.
+  function openDay(date) {
+    const entry = activeEntries.find((e) => e.date === date);
+    if (entry) return startEdit(entry);
+    setEditingId(null);
+    setForm({ ...getEmptyForm(), date });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  function cancelEdit() {
+    setEditingId(null);
+    setPendingEntry(null);
     setForm(getEmptyForm());
   }
 
+  // Saves the form over the entry being edited, keeping id and createdAt and
+  // recording which fields changed in the entry's revision history. Moving it
+  // onto a date that already has an entry goes through the duplicate policy.
+  function updateEntry(e) {
+    e?.preventDefault();
+    const fields = formToFields(form);
+    const current = activeEntries.find((r) => r.id === editingId);
+    const clash = current && current.date !== fields.date && activeEntries.some((r) => r.id !== editingId && r.date === fields.date);
+    if (clash && duplicatePolicy === "ask") {
+      setPendingEntry({ date: fields.date, editId: editingId, fields });
+      return;
+    }
+    saveEdit(editingId, fields, clash ? duplicatePolicy : "keep");
+  }
+
+  function saveEdit(id, fields, policy) {
+    act(policy === "keep" ? "Entry updated" : `Entry ${policy === "merge" ? "merged" : "replaced"} for ${fields.date}`, (s) => {
+      const edited = s.map((r) => {
+        if (r.id !== id) return r;
+        const changes = diffFields(r, fields);
+        if (Object.keys(changes).length === 0) return r;
+        const updatedAt = new Date().toISOString();
+        const revisions = [...(r.revisions || []), { at: updatedAt, changes }].slice(-MAX_REVISIONS);
+        return { ...r, ...fields, updatedAt, revisions };
+      });
+      if (policy === "keep") return edited;
+      return applyDuplicatePolicy(
+        edited.filter((r) => r.id !== id),
+        edited.find((r) => r.id === id),
+        policy
+      );
+    });
+    setPendingEntry(null);
+    cancelEdit();
+  }
+
+  // Copy unfinished tasks into the form. Their day only marks them carried
+  // once the new entry is saved (see applyCarry).
+  function carryOver({ sourceId, tasks, taskIds }) {
+    setForm((s) => ({ ...s, tasks: [...s.tasks, ...tasks], carry: { sourceId, taskIds } }));
+  }
+
+  // Mark the carried-over tasks still in `entry` as carried on their source day.
+  function applyCarry(list, entry) {
+    if (!form.carry) return list;
+    const { sourceId, taskIds } = form.carry;
+    const kept = entry.tasks.map((t) => taskIds[t.id]).filter(Boolean);
+    if (!kept.length) return list;
+    return list.map((r) => (r.id === sourceId ? markCarried(r, entry.date, kept) : r));
+  }
+
+  // Answer to the "same date" question, for a new entry or an edit.
+  function resolvePending(policy) {
+    if (pendingEntry.editId) saveEdit(pendingEntry.editId, pendingEntry.fields, policy);
+    else saveWithPolicy(pendingEntry, policy);
+  }
+
   function removeEntry(id) {
-    if (!confirm("Delete this entry?")) return;
-    setEntries((s) => s.filter((e) => e.id !== id));
+    act("Entry moved to trash", (s) => moveToTrash(s, id));
+    if (id === editingId) cancelEdit();
+  }
+
+  function restoreEntry(id) {
+    act("Entry restored", (s) => restoreFromTrash(s, id));
+  }
+
+  function purgeEntry(id) {
+    if (!confirm("Permanently delete this entry?")) return;
+    act("Entry deleted permanently", (s) => purgeFromTrash(s, id));
+  }
+
+  function pinSearch() {
+    if (!query.trim() || parsedQuery.error) return;
+    const name = prompt("Name this search", query);
+    if (!name) return;
+    setSavedSearches((s) => [...s.filter((x) => x.name !== name), { name, query }]);
   }
 
   function exportCSV() {
-    const header = [
-      "date",
-      "plannedTasks",
-      "completedTasks",
-      "tasksNotes",
-      "wins",
-      "challenges",
-      "mood",
-      "minutesFocused",
-      "tags",
-      "createdAt",
-    ];
-    const rows = entries.map((r) => [
-      r.date,
-      r.plannedTasks,
-      r.completedTasks,
-      `"${(r.tasksNotes || "").replace(/\"/g, '""')}"`,
-      `"${(r.wins || "").replace(/\"/g, '""')}"`,
-      `"${(r.challenges || "").replace(/\"/g, '""')}"`,
-      r.mood,
-      r.minutesFocused,
-      `"${(r.tags || []).join(", ")}"`,
-      r.createdAt,
-    ]);
-
-    const csv = [header, ...rows]
-      .map((r) => r.join(","))
-      .join("\n");
-
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `progress-export-${new Date().toISOString()}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadCSV(toCSV(activeEntries), `progress-export-${new Date().toISOString()}.csv`);
+  }
+
+  // Imported rows go through the same per-date policy as entries added by hand.
+  function importEntries(imported, policy) {
+    act(`Imported ${imported.length} entries`, (s) => imported.reduceRight((acc, entry) => applyDuplicatePolicy(acc, entry, policy), s));
+    setShowImport(false);
   }
 
+  const activeEntries = useMemo(() => entries.filter(isActive), [entries]);
+  const formCounts = countTasks(cleanTasks(form.tasks));
+  const rollover = useMemo(() => {
+    if (editingId) return null;
+    const found = findRollover(activeEntries, form.date);
+    const carried = new Set(form.tasks.map((t) => t.carriedFrom).filter(Boolean));
+    return found && !carried.has(found.from) ? found : null;
+  }, [activeEntries, form.date, form.tasks, editingId]);
+  const trashed = useMemo(() => entries.filter((e) => !isActive(e)), [entries]);
+
+  // Bare words are looked up in the full-text index, which is kept up to date
+  // incrementally as entries change.
+  const searchIndex = useSearchIndex(activeEntries);
+  const parsedQuery = useMemo(
+    () => parseQuery(query, { matchText: (e, words) => words.every((w) => searchIndex.matches(e.id, w)) }),
+    [query, searchIndex]
+  );
+
   const filtered = useMemo(() => {
-    return entries.filter((e) => {
-      if (query) {
-        const lower = query.toLowerCase();
-        if (
-          !(e.tasksNotes || "").toLowerCase().includes(lower) &&
-          !(e.wins || "").toLowerCase().includes(lower) &&
-          !(e.challenges || "").toLowerCase().includes(lower) &&
-          !(e.tags || []).join(", ").toLowerCase().includes(lower)
-        )
-          return false;
-      }
+    return activeEntries.filter((e) => {
+      if (parsedQuery.test && !parsedQuery.test(e)) return false;
       if (filterTag) {
         if (!(e.tags || []).includes(filterTag)) return false;
       }
@@ -133,31 +316,25 @@ export default function App() {
       }
       return true;
     });
-  }, [entries, query, filterTag, dateRange]);
-
-  const analytics = useMemo(() => {
-    const days = entries.length || 0;
-    const totalPlanned = entries.reduce((s, r) => s + (r.plannedTasks || 0), 0);
-    const totalCompleted = entries.reduce((s, r) => s + (r.completedTasks || 0), 0);
-    const avgTasksPerDay = days ? +(totalCompleted / days).toFixed(2) : 0;
-    const successRate = totalPlanned ? +((totalCompleted / totalPlanned) * 100).toFixed(1) : null;
-    const avgMood = days ? +(entries.reduce((s, r) => s + (r.mood || 0), 0) / days).toFixed(2) : null;
-    const totalFocus = entries.reduce((s, r) => s + (r.minutesFocused || 0), 0);
-
-    // tag frequency
-    const tagCounts = {};
-    entries.forEach((r) => (r.tags || []).forEach((t) => (tagCounts[t] = (tagCounts[t] || 0) + 1)));
-    const tagData = Object.entries(tagCounts).map(([name, value]) => ({ name, value }));
-
-    // tasks trend (last 14 days)
-    const trend = [...entries]
-      .slice(0, 30)
-      .reverse()
-      .map((r) => ({ date: r.date, completed: r.completedTasks }))
-      .slice(-30);
-
-    return { days, totalPlanned, totalCompleted, avgTasksPerDay, successRate, avgMood, totalFocus, tagData, trend };
-  }, [entries]);
+  }, [activeEntries, parsedQuery, filterTag, dateRange]);
+
+  // With search words, best matches first; otherwise (or when asked) newest first.
+  const ranked = useMemo(() => {
+    const byDate = (a, b) => b.date.localeCompare(a.date) || (b.createdAt || "").localeCompare(a.createdAt || "");
+    if (sortBy === "date" || parsedQuery.terms.length === 0) return [...filtered].sort(byDate);
+    const scores = new Map();
+    parsedQuery.terms.forEach((term) => searchIndex.search(term).forEach((score, id) => scores.set(id, (scores.get(id) || 0) + score)));
+    return [...filtered].sort((a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0) || byDate(a, b));
+  }, [filtered, parsedQuery, sortBy, searchIndex]);
+
+  const analytics = useMemo(
+    () => summarize(activeEntries, resolveWindow(analyticsWindow, customWindow, activeEntries)),
+    [activeEntries, analyticsWindow, customWindow]
+  );
+  const allTags = useMemo(() => [...new Set(activeEntries.flatMap((e) => e.tags || []))].sort(), [activeEntries]);
+  const insights = useMemo(() => computeInsights(activeEntries, analytics.range), [activeEntries, analytics.range]);
+
+  const duplicateGroups = useMemo(() => findDuplicateGroups(entries), [entries]);
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
@@ -167,9 +344,19 @@ export default function App() {
           <p className="text-sm text-gray-600">Log what you planned, what you completed, wins, challenges and get instant analysis.</p>
         </header>
 
+        {storageError && (
+          <div className="mb-4 p-3 rounded bg-red-50 text-red-800 text-sm flex items-start gap-2">
+            <span className="flex-1">{describeStorageError(storageError)}</span>
+            <button onClick={() => setStorageError(null)} className="px-2 py-1 rounded bg-white border text-xs">Dismiss</button>
+          </div>
+        )}
+
         <main className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           <section className="col-span-1 lg:col-span-2">
-            <form onSubmit={addEntry} className="p-4 bg-white rounded-2xl shadow">
+            <form onSubmit={editingId ? updateEntry : addEntry} className="p-4 bg-white rounded-2xl shadow">
+              {editingId && (
+                <div className="mb-3 p-2 rounded bg-blue-50 text-blue-800 text-sm">Editing an existing entry. Saving keeps its original creation date.</div>
+              )}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                 <div>
                   <label className="block text-xs font-medium text-gray-700">Date</label>
@@ -197,23 +384,43 @@ export default function App() {
                 <div>
                   <label className="block text-xs font-medium text-gray-700">Planned tasks</label>
                   <input
-                    value={form.plannedTasks}
+                    value={form.tasks.length ? formCounts.plannedTasks : form.plannedTasks}
                     onChange={(e) => setForm((s) => ({ ...s, plannedTasks: e.target.value }))}
+                    readOnly={form.tasks.length > 0}
+                    title={form.tasks.length ? "Counted from the task list" : undefined}
                     type="number"
-                    className="mt-1 w-full rounded p-2 border"
+                    className="mt-1 w-full rounded p-2 border read-only:bg-gray-100"
                   />
                 </div>
 
                 <div>
                   <label className="block text-xs font-medium text-gray-700">Completed tasks</label>
                   <input
-                    value={form.completedTasks}
+                    value={form.tasks.length ? formCounts.completedTasks : form.completedTasks}
                     onChange={(e) => setForm((s) => ({ ...s, completedTasks: e.target.value }))}
+                    readOnly={form.tasks.length > 0}
+                    title={form.tasks.length ? "Counted from the task list" : undefined}
                     type="number"
-                    className="mt-1 w-full rounded p-2 border"
+                    className="mt-1 w-full rounded p-2 border read-only:bg-gray-100"
                   />
                 </div>
 
+                <div className="md:col-span-2">
+                  <label className="block text-xs font-medium text-gray-700">Tasks</label>
+                  {rollover && (
+                    <button
+                      type="button"
+                      onClick={() => carryOver(rollover)}
+                      className="mt-1 mb-2 px-3 py-1 rounded bg-blue-50 text-blue-800 text-sm"
+                    >
+                      Carry over {rollover.tasks.length} unfinished task(s) from {rollover.from}
+                    </button>
+                  )}
+                  <div className="mt-1">
+                    <TaskListEditor tasks={form.tasks} onChange={(tasks) => setForm((s) => ({ ...s, tasks }))} />
+                  </div>
+                </div>
+
                 <div className="md:col-span-2">
                   <label className="block text-xs font-medium text-gray-700">Task notes (what you did)</label>
                   <textarea
@@ -265,103 +472,230 @@ export default function App() {
                 </div>
               </div>
 
+              {pendingEntry && (
+                <div className="mt-4 p-3 rounded bg-yellow-50 text-yellow-800 text-sm">
+                  <div>An entry for {pendingEntry.date} already exists. What should happen to this one?</div>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {Object.entries(DUPLICATE_POLICIES).map(([policy, label]) => (
+                      <button key={policy} type="button" onClick={() => resolvePending(policy)} className="px-3 py-1 rounded border bg-white">
+                        {label}
+                      </button>
+                    ))}
+                    <button type="button" onClick={() => setPendingEntry(null)} className="px-3 py-1 rounded bg-gray-200">Cancel</button>
+                  </div>
+                </div>
+              )}
+
               <div className="mt-4 flex gap-2">
-                <button className="px-4 py-2 rounded bg-blue-600 text-white">Save entry</button>
+                <button className="px-4 py-2 rounded bg-blue-600 text-white">{editingId ? "Update entry" : "Save entry"}</button>
                 <button
                   type="button"
-                  onClick={() => setForm(getEmptyForm())}
+                  onClick={cancelEdit}
                   className="px-4 py-2 rounded bg-gray-200"
                 >
-                  Reset
+                  {editingId ? "Cancel edit" : "Reset"}
                 </button>
-                <button type="button" onClick={exportCSV} className="ml-auto px-4 py-2 rounded bg-green-500 text-white">
+                <select
+                  value={duplicatePolicy}
+                  onChange={(e) => setDuplicatePolicy(e.target.value)}
+                  title="What to do when an entry for the same date already exists"
+                  className="px-2 py-2 rounded border text-sm"
+                >
+                  <option value="ask">Same date: ask</option>
+                  {Object.entries(DUPLICATE_POLICIES).map(([policy, label]) => (
+                    <option key={policy} value={policy}>Same date: {label.toLowerCase()}</option>
+                  ))}
+                </select>
+                <button type="button" onClick={() => setShowImport((v) => !v)} className="ml-auto px-4 py-2 rounded bg-gray-200">
+                  Import CSV
+                </button>
+                <button type="button" onClick={exportCSV} className="px-4 py-2 rounded bg-green-500 text-white">
                   Export CSV
                 </button>
               </div>
             </form>
 
+            {showImport && <CsvImport entries={activeEntries} policy={duplicatePolicy} onImport={importEntries} onClose={() => setShowImport(false)} />}
+
+            <CalendarHeatmap entries={activeEntries} onSelectDay={openDay} />
+
             <div className="mt-6 p-4 bg-white rounded-2xl shadow">
-              <h2 className="font-semibold mb-2">Journal entries</h2>
-
-              <div className="flex gap-2 mb-3">
-                <input
-                  placeholder="search notes, wins, challenges or tags"
-                  value={query}
-                  onChange={(e) => setQuery(e.target.value)}
-                  className="flex-1 p-2 border rounded"
-                />
-                <input
-                  type="date"
-                  value={dateRange.from}
-                  onChange={(e) => setDateRange((s) => ({ ...s, from: e.target.value }))}
-                  className="p-2 border rounded"
-                />
-                <input
-                  type="date"
-                  value={dateRange.to}
-                  onChange={(e) => setDateRange((s) => ({ ...s, to: e.target.value }))}
-                  className="p-2 border rounded"
-                />
-                <input
-                  placeholder="filter tag"
-                  value={filterTag}
-                  onChange={(e) => setFilterTag(e.target.value)}
-                  className="p-2 border rounded"
-                />
-                <button onClick={() => { setQuery(""); setFilterTag(""); setDateRange({ from: "", to: "" }); }} className="px-3 py-2 rounded bg-gray-200">Clear</button>
+              <div className="flex items-center gap-2 mb-2">
+                <h2 className="font-semibold">{showTrash ? "Trash" : "Journal entries"}</h2>
+                <button onClick={undo} disabled={!history.canUndo} title="Undo (Ctrl+Z)" className="ml-auto px-3 py-1 rounded border text-sm disabled:opacity-40">Undo</button>
+                <button onClick={redo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)" className="px-3 py-1 rounded border text-sm disabled:opacity-40">Redo</button>
+                <button onClick={() => setShowTrash((v) => !v)} className="px-3 py-1 rounded bg-gray-200 text-sm">
+                  {showTrash ? "Back to journal" : `Trash (${trashed.length})`}
+                </button>
               </div>
 
-              {filtered.length === 0 ? (
-                <p className="text-sm text-gray-500">No entries match the filters.</p>
+              {showTrash ? (
+                trashed.length === 0 ? (
+                  <p className="text-sm text-gray-500">Trash is empty. Deleted entries stay here for {TRASH_RETENTION_DAYS} days.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {trashed.map((r) => (
+                      <article key={r.id} className="p-3 border rounded flex flex-col md:flex-row md:items-start md:justify-between bg-gray-50">
+                        <div>
+                          <div className="text-sm text-gray-500">{r.date} • deleted {new Date(r.deletedAt).toLocaleString()} • purged in {daysUntilPurge(r)} day(s)</div>
+                          <div className="font-medium">Planned: {r.plannedTasks} • Completed: {r.completedTasks}</div>
+                          <div className="mt-1 text-sm text-gray-700">{r.tasksNotes}</div>
+                        </div>
+                        <div className="mt-3 md:mt-0 md:ml-4 flex gap-2">
+                          <button onClick={() => restoreEntry(r.id)} className="px-3 py-1 border rounded">Restore</button>
+                          <button onClick={() => purgeEntry(r.id)} className="px-3 py-1 border rounded text-red-600">Delete forever</button>
+                        </div>
+                      </article>
+                    ))}
+                  </div>
+                )
               ) : (
-                <div className="space-y-3">
-                  {filtered.map((r) => (
-                    <article key={r.id} className="p-3 border rounded flex flex-col md:flex-row md:items-start md:justify-between">
-                      <div>
-                        <div className="text-sm text-gray-500">{r.date} • mood {r.mood} • {r.minutesFocused}m focus</div>
-                        <div className="font-medium">Planned: {r.plannedTasks} • Completed: {r.completedTasks}</div>
-                        <div className="mt-1 text-sm text-gray-700">{r.tasksNotes}</div>
-                        <div className="mt-2 text-xs text-green-700">Wins: {r.wins}</div>
-                        <div className="mt-1 text-xs text-red-600">Challenges: {r.challenges}</div>
-                        <div className="mt-2 text-xs text-gray-600">Tags: {(r.tags || []).join(", ")}</div>
-                      </div>
-
-                      <div className="mt-3 md:mt-0 md:ml-4 flex gap-2">
-                        <button onClick={() => removeEntry(r.id)} className="px-3 py-1 border rounded">Delete</button>
-                      </div>
-                    </article>
-                  ))}
+                <>
+
+                <div className="flex gap-2 mb-3">
+                  <input
+                    placeholder='search, e.g. tag:coding -tag:chores mood:<3 wins:"shipped" last:14d'
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    className={"flex-1 p-2 border rounded" + (parsedQuery.error ? " border-red-400" : "")}
+                  />
+                  <button onClick={pinSearch} disabled={!query.trim() || !!parsedQuery.error} title="Pin this search" className="px-3 py-2 rounded border disabled:opacity-40">Pin</button>
+                  <input
+                    type="date"
+                    value={dateRange.from}
+                    onChange={(e) => setDateRange((s) => ({ ...s, from: e.target.value }))}
+                    className="p-2 border rounded"
+                  />
+                  <input
+                    type="date"
+                    value={dateRange.to}
+                    onChange={(e) => setDateRange((s) => ({ ...s, to: e.target.value }))}
+                    className="p-2 border rounded"
+                  />
+                  <input
+                    placeholder="filter tag"
+                    value={filterTag}
+                    onChange={(e) => setFilterTag(e.target.value)}
+                    className="p-2 border rounded"
+                  />
+                  <button onClick={() => { setQuery(""); setFilterTag(""); setDateRange({ from: "", to: "" }); }} className="px-3 py-2 rounded bg-gray-200">Clear</button>
                 </div>
+
+                {parsedQuery.error && (
+                  <div className="-mt-1 mb-3 text-xs text-red-600">{parsedQuery.error} The search is ignored until it is fixed.</div>
+                )}
+
+                {savedSearches.length > 0 && (
+                  <div className="mb-3 flex flex-wrap gap-2 text-xs">
+                    {savedSearches.map((s) => (
+                      <span key={s.name} className={"flex items-center rounded border" + (s.query === query ? " bg-blue-50 border-blue-300" : "")}>
+                        <button onClick={() => setQuery(s.query)} title={s.query} className="px-2 py-1">{s.name}</button>
+                        <button
+                          onClick={() => setSavedSearches((list) => list.filter((x) => x.name !== s.name))}
+                          aria-label={`Unpin ${s.name}`}
+                          className="px-1 py-1 text-gray-400"
+                        >
+                          ✕
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                {parsedQuery.terms.length > 0 && filtered.length > 0 && (
+                  <div className="mb-2 flex items-center gap-2 text-xs text-gray-600">
+                    <span>{filtered.length} result(s), sorted by</span>
+                    <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className="p-1 border rounded">
+                      <option value="relevance">relevance</option>
+                      <option value="date">date</option>
+                    </select>
+                  </div>
+                )}
+
+                {filtered.length === 0 ? (
+                  <p className="text-sm text-gray-500">No entries match the filters.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {ranked.map((r) => (
+                      <article key={r.id} className="p-3 border rounded flex flex-col md:flex-row md:items-start md:justify-between">
+                        <div>
+                          <div className="text-sm text-gray-500">{r.date} • mood {r.mood} • {r.minutesFocused}m focus</div>
+                          <div className="font-medium">Planned: {r.plannedTasks} • Completed: {r.completedTasks}</div>
+                          {(r.tasks || []).length > 0 && (
+                            <ul className="mt-1 text-sm space-y-0.5">
+                              {r.tasks.map((t) => (
+                                <li key={t.id} className={t.status === "dropped" ? "line-through text-gray-400" : t.status === "done" ? "text-gray-500" : ""}>
+                                  {t.status === "done" ? "✓" : t.status === "dropped" ? "✕" : "○"} <Highlight text={t.title} words={parsedQuery.terms} />
+                                  {t.estimate ? <span className="text-xs text-gray-500"> • {t.estimate}m</span> : null}
+                                  {t.tag ? <span className="text-xs text-gray-500"> • {t.tag}</span> : null}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          <div className="mt-1 text-sm text-gray-700"><Highlight text={r.tasksNotes} words={parsedQuery.terms} /></div>
+                          <div className="mt-2 text-xs text-green-700">Wins: <Highlight text={r.wins} words={parsedQuery.terms} /></div>
+                          <div className="mt-1 text-xs text-red-600">Challenges: <Highlight text={r.challenges} words={parsedQuery.terms} /></div>
+                          <div className="mt-2 text-xs text-gray-600">Tags: <Highlight text={(r.tags || []).join(", ")} words={parsedQuery.terms} /></div>
+                          {r.updatedAt && (
+                            <details className="mt-2 text-xs text-gray-500">
+                              <summary>Edited {new Date(r.updatedAt).toLocaleString()} • {(r.revisions || []).length} revision(s)</summary>
+                              <ul className="mt-1 pl-4 list-disc space-y-1">
+                                {[...(r.revisions || [])].reverse().map((rev) => (
+                                  <li key={rev.at}>
+                                    {new Date(rev.at).toLocaleString()}:{" "}
+                                    {Object.entries(rev.changes)
+                                      .map(([field, c]) => `${field}: ${formatValue(c.from)} → ${formatValue(c.to)}`)
+                                      .join("; ")}
+                                  </li>
+                                ))}
+                              </ul>
+                            </details>
+                          )}
+                        </div>
+
+                        <div className="mt-3 md:mt-0 md:ml-4 flex gap-2">
+                          <button onClick={() => startEdit(r)} className="px-3 py-1 border rounded">Edit</button>
+                          <button onClick={() => removeEntry(r.id)} className="px-3 py-1 border rounded">Delete</button>
+                        </div>
+                      </article>
+                    ))}
+                  </div>
+                )}
+                </>
               )}
             </div>
           </section>
 
           <aside className="col-span-1">
             <div className="p-4 bg-white rounded-2xl shadow mb-4">
-              <h3 className="font-semibold">Quick analytics</h3>
+              <div className="flex items-center justify-between gap-2">
+                <h3 className="font-semibold">Quick analytics</h3>
+                <select value={analyticsWindow} onChange={(e) => setAnalyticsWindow(e.target.value)} className="p-1 border rounded text-xs">
+                  {Object.entries(ANALYTICS_WINDOWS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {analyticsWindow === "custom" && (
+                <div className="mt-2 flex gap-2 text-xs">
+                  <input type="date" value={customWindow.from} onChange={(e) => setCustomWindow({ ...customWindow, from: e.target.value })} className="p-1 border rounded" />
+                  <input type="date" value={customWindow.to} onChange={(e) => setCustomWindow({ ...customWindow, to: e.target.value })} className="p-1 border rounded" />
+                </div>
+              )}
+              <div className="mt-1 text-xs text-gray-500">{analytics.range.from} – {analytics.range.to}</div>
               <div className="mt-2 text-sm text-gray-600">
-                <div>Days logged: <strong>{analytics.days}</strong></div>
+                <div>Days logged: <strong>{analytics.days}</strong> of {analytics.windowDays}</div>
                 <div>Completed tasks total: <strong>{analytics.totalCompleted}</strong></div>
                 <div>Avg completed / day: <strong>{analytics.avgTasksPerDay}</strong></div>
                 <div>Avg mood: <strong>{analytics.avgMood ?? "—"}</strong></div>
                 <div>Total focused minutes: <strong>{analytics.totalFocus}</strong></div>
                 <div>Success rate: <strong>{analytics.successRate === null ? "—" : analytics.successRate + "%"}</strong></div>
               </div>
+            </div>
 
-              <div className="mt-3">
-                {analytics.successRate !== null && analytics.successRate < 50 && (
-                  <div className="p-2 rounded bg-yellow-50 text-yellow-800 text-xs">Your success rate is below 50%. Suggestion: reduce planned tasks, prioritize the top 1–3, and track distractions.</div>
-                )}
-
-                {analytics.successRate !== null && analytics.successRate >= 50 && analytics.successRate < 80 && (
-                  <div className="p-2 rounded bg-blue-50 text-blue-800 text-xs">You're doing fairly well. Suggestion: identify repeated challenges and convert one into an experiment to improve.</div>
-                )}
+            <GoalsPanel goals={goals} entries={activeEntries} tags={allTags} onChange={setGoals} />
 
-                {analytics.successRate !== null && analytics.successRate >= 80 && (
-                  <div className="p-2 rounded bg-green-50 text-green-800 text-xs">Great consistency — try stretching targets slightly or adding a challenge task.</div>
-                )}
-              </div>
-            </div>
+            <InsightsPanel insights={insights} />
 
             <div className="p-4 bg-white rounded-2xl shadow mb-4">
               <h3 className="font-semibold">Tags</h3>
@@ -378,66 +712,37 @@ export default function App() {
               </div>
             </div>
 
-            <div className="p-4 bg-white rounded-2xl shadow">
-              <h3 className="font-semibold">Charts</h3>
-              <div style={{ width: "100%", height: 200 }} className="mt-2">
-                {analytics.tagData.length > 0 ? (
-                  <ResponsiveContainer width="100%" height={200}>
-                    <PieChart>
-                      <Pie data={analytics.tagData} dataKey="value" nameKey="name" outerRadius={65} fill="#8884d8">
-                        {analytics.tagData.map((entry, index) => (
-                          <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                        ))}
-                      </Pie>
-                      <Tooltip />
-                    </PieChart>
-                  </ResponsiveContainer>
-                ) : (
-                  <div className="text-sm text-gray-500">Add entries with tags to see tag distribution.</div>
-                )}
-              </div>
-
-              <div style={{ width: "100%", height: 160 }} className="mt-4">
-                {analytics.trend.length > 0 ? (
-                  <ResponsiveContainer width="100%" height={160}>
-                    <BarChart data={analytics.trend}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="date" />
-                      <YAxis />
-                      <Tooltip />
-                      <Bar dataKey="completed" />
-                    </BarChart>
-                  </ResponsiveContainer>
-                ) : (
-                  <div className="text-sm text-gray-500">Complete entries to populate trends.</div>
-                )}
+            {duplicateGroups.length > 0 && (
+              <div className="p-4 bg-white rounded-2xl shadow mb-4">
+                <h3 className="font-semibold">Duplicate days</h3>
+                <div className="mt-2 text-sm text-gray-600">
+                  {duplicateGroups.map((g) => (
+                    <div key={g.date}>{g.date} • {g.entries.length} entries</div>
+                  ))}
+                </div>
+                <div className="mt-3 flex gap-2">
+                  <button onClick={() => cleanUpDuplicates("merge")} className="px-3 py-1 rounded border text-sm">Merge all</button>
+                  <button onClick={() => cleanUpDuplicates("replace")} className="px-3 py-1 rounded border text-sm">Keep newest</button>
+                </div>
               </div>
-            </div>
+            )}
 
-            <div className="mt-4 text-xs text-gray-600">
-              <div className="mb-2">Quick improvement ideas (auto-generated):</div>
-              <ul className="list-disc pl-4 space-y-1">
-                <li>Focus on 1–3 priority tasks per day.</li>
-                <li>Record minutes focused — aim for small, consistent blocks (25min).</li>
-                <li>Turn a frequent challenge into an experiment with a single change for a week.</li>
-                <li>Celebrate wins — review weekly and copy what worked.</li>
-              </ul>
-            </div>
+            <Dashboard analytics={analytics} entries={activeEntries} />
 
           </aside>
         </main>
 
-        <footer className="mt-8 text-sm text-gray-500 text-center">Data is stored locally in your browser's localStorage. Export CSV to keep backups.</footer>
+        <Toast toast={toast} onClose={closeToast} />
+
+        <footer className="mt-8 text-sm text-gray-500 text-center">Data is stored locally in your browser's localStorage. Export CSV to keep backups and Import CSV to restore them.</footer>
       </div>
     </div>
   );
 }
 
 function getEmptyForm() {
-  const today = new Date();
-  const isoDate = today.toISOString().slice(0, 10);
   return {
-    date: isoDate,
+    date: localToday(),
     plannedTasks: "",
     completedTasks: "",
     tasksNotes: "",
@@ -446,5 +751,63 @@ function getEmptyForm() {
     mood: 3,
     tags: "",
     minutesFocused: "",
+    tasks: [],
+    carry: null,
   };
 }
+
+// With a task list the counts come from it; otherwise the typed numbers are used.
+function formToFields(form) {
+  const tasks = cleanTasks(form.tasks);
+  const counts = tasks.length
+    ? countTasks(tasks)
+    : { plannedTasks: Number(form.plannedTasks) || 0, completedTasks: Number(form.completedTasks) || 0 };
+  return {
+    date: form.date,
+    ...counts,
+    tasks,
+    tasksNotes: form.tasksNotes,
+    wins: form.wins,
+    challenges: form.challenges,
+    mood: Number(form.mood) || 3,
+    tags: form.tags
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean),
+    minutesFocused: Number(form.minutesFocused) || 0,
+  };
+}
+
+function entryToForm(entry) {
+  return {
+    date: entry.date,
+    plannedTasks: entry.plannedTasks ?? "",
+    completedTasks: entry.completedTasks ?? "",
+    tasksNotes: entry.tasksNotes || "",
+    wins: entry.wins || "",
+    challenges: entry.challenges || "",
+    mood: entry.mood ?? 3,
+    tags: (entry.tags || []).join(", "),
+    minutesFocused: entry.minutesFocused ?? "",
+    tasks: entry.tasks || [],
+  };
+}
+
+// Returns { field: { from, to } } for every editable field that differs.
+// Tasks are compared in full, so changing only an estimate or tag counts.
+function diffFields(entry, fields) {
+  const changes = {};
+  EDITABLE_FIELDS.forEach((key) => {
+    const same = key === "tasks" ? canonicalJSON(entry.tasks || []) === canonicalJSON(fields.tasks || []) : formatValue(entry[key]) === formatValue(fields[key]);
+    if (!same) {
+      changes[key] = { from: entry[key] ?? null, to: fields[key] };
+    }
+  });
+  return changes;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) value = value.map((v) => (typeof v === "object" ? `${v.title} (${v.status})` : v)).join(", ");
+  if (value === null || value === undefined || value === "") return "—";
+  return String(value);
+}
@@ -0,0 +1,764 @@
+/*
+Daily Progress Tracker — single-file React App (App.jsx)
+
+Drop this into src/App.jsx in a Vite + React project.
+
+Dependencies (install these in your project root):
+npm install @supabase/supabase-js recharts
+
+Optional / dev deps used earlier:
+npm install -D tailwindcss postcss autoprefixer
+(then configure tailwind/postcss as we discussed)
+
+Environment:
+Create .env in project root with:
+VITE_SUPABASE_URL=[https://your-project-ref.supabase.co](https://your-project-ref.supabase.co)
+VITE_SUPABASE_ANON_KEY=your-anon-key
+
+Notes:
+
+* This file lives in Projects/better-app/src next to the shared helpers it
+  imports (csv.js, storage.js, components/ and the rest); main.jsx renders it
+  when the page is opened with ?v2.
+* Storage is versioned (see storage.js): v1 data under "daily-progress-tracker-v1"
+  is migrated on first load and a pre-migration snapshot is kept for rollback.
+* Entries are persisted through persistence.js: IndexedDB when available
+  (per-entry writes), otherwise localStorage.
+* Open tabs stay in sync (tabSync.js): entry and habit changes are merged by
+  id, and the Pomodoro timer is mirrored in every tab.
+* The Pomodoro (pomodoro.js, components/PomodoroPanel.jsx) runs off
+  timestamps, with configurable durations and long breaks; finished focus
+  sessions are logged and added to that day's minutesFocused.
+* Habits (habits.js, components/HabitTracker.jsx) are daily, on chosen
+  weekdays or N times a week; streaks follow the schedule, past days can be
+  marked or undone, and habits can be archived.
+* Habits are the same records locally and in the Supabase `habits` table
+  (habitSync.js has the table definition). In cloud mode they sync both ways,
+  merged per field and per day, with the status shown in the Habits view.
+* Reports (report.js, components/ReportView.jsx) cover any period and export
+  to Markdown, HTML or print/PDF in the browser. Emailing them goes through
+  reportDelivery.js: an HTTP endpoint that relays to SMTP (set
+  VITE_REPORT_MAIL_ENDPOINT or enter it under Settings) or a mock transport,
+  optionally on a weekly/monthly schedule.
+* Reminders (reminders.js, public/sw.js) are shown by a service worker, with
+  snooze and quiet hours; the "log today" one is skipped once today has an entry.
+* The same worker makes the app installable and usable offline (pwa.js,
+  components/PwaBanner.jsx, rendered from main.jsx). Backups uploaded while
+  offline are queued (offlineQueue.js) and sent when the connection returns.
+* Supabase usage is minimal. Make sure you created the DB table schema
+  and RLS policies previously provided if you plan to use cloud backups.
+* Backups are encrypted client-side with Web Crypto using a user passphrase.
+  envelope.js keeps the algorithm, key-derivation settings, a random salt and
+  a key check value with the data, so a wrong passphrase is reported as such
+  and older backups stay readable. The passphrase can be changed (the backup
+  and synced data are re-encrypted) and a printable recovery key opens the
+  data if the passphrase is lost (components/EncryptionSettings.jsx).
+* Every upload is kept as a snapshot (backups.js), up to the last 10, with its
+  time, entry and habit counts and the device it came from. Picking one in
+  the backup history shows what restoring it would add, remove or change,
+  then it can be merged into the current data or replace it
+  (components/BackupHistory.jsx).
+* With the passphrase entered in cloud mode, entries and habits sync record by
+  record through the `encrypted_records` table (recordSync.js has the table
+  definition): each record is encrypted on its own and carries a version, so
+  only changes travel and edits from two devices resolve the same way
+  everywhere. The plain `habits` table sync is used only without a passphrase.
+* This component uses Tailwind utility classes for layout; it will render
+  fine without Tailwind but looks better with it enabled.
+  */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { createClient } from "@supabase/supabase-js";
+import {
+ResponsiveContainer,
+PieChart,
+Pie,
+Cell,
+Tooltip,
+BarChart,
+Bar,
+XAxis,
+YAxis,
+CartesianGrid,
+} from "recharts";
+import { toCSV, downloadCSV } from "./csv";
+import CsvImport from "./components/CsvImport";
+import { applyDuplicatePolicy } from "./duplicates";
+import { KEYS, openStorage, loadHabits, saveHabits, repairEntry, repairHabit, getSnapshotInfo, resumeMigrations } from "./storage";
+import { rollbackPersistence, usePersistedEntries } from "./persistence";
+import { useSyncedList } from "./tabSync";
+import Dashboard from "./components/Dashboard";
+import { resolveWindow, summarize } from "./analytics";
+import ReportView from "./components/ReportView";
+import { buildReport, reportRange } from "./report";
+import ReportDeliverySettings from "./components/ReportDeliverySettings";
+import { createHttpSmtpTransport, createMockTransport, loadDeliverySettings, saveDeliverySettings, sendReport, useScheduledReports } from "./reportDelivery";
+import ReminderSettings from "./components/ReminderSettings";
+import { loadReminderSettings, saveReminderSettings, useReminders } from "./reminders";
+import { isNetworkError, useOfflineQueue } from "./offlineQueue";
+import PomodoroPanel from "./components/PomodoroPanel";
+import { creditFocus, usePomodoro } from "./pomodoro";
+import HabitTracker from "./components/HabitTracker";
+import { toggleCompletion, updateHabit } from "./habits";
+import { useHabitSync } from "./habitSync";
+import { useRecordSync } from "./recordSync";
+import EncryptionSettings from "./components/EncryptionSettings";
+import BackupHistory from "./components/BackupHistory";
+import { diffBackup, getDeviceLabel, listSnapshots, loadSnapshot, mergeBackup, rewriteSnapshots, saveSnapshot } from "./backups";
+import { WrongPassphraseError, createKeyring, envelopeCipher, envelopeVersion, loadKeyringInfo, openEnvelope, reencrypt, saveKeyringInfo, sealEnvelope, unlockKeyring } from "./envelope";
+import SyncStatus from "./components/SyncStatus";
+import { localToday } from "./dates";
+
+/* ----------------- CONFIG ----------------- */
+const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || "";
+const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY || "";
+const supabase = SUPABASE_URL && SUPABASE_ANON_KEY ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null;
+const COLORS = ["#4ade80", "#f59e0b", "#f97316", "#ef4444", "#60a5fa"];
+const HABIT_STORE = { load: () => loadHabits().items, save: saveHabits };
+const MOCK_TRANSPORT = createMockTransport();
+
+/* ----------------- Main App ----------------- */
+export default function App() {
+// Core data (migrated + repaired by the storage layer on first render)
+const [boot] = useState(() => openStorage());
+const [entries, setEntries, persistence, clearPersistenceError] = usePersistedEntries(boot.entries);
+const [storageNotices, setStorageNotices] = useState(boot.notices);
+const [form, setForm] = useState(getEmptyForm());
+const [query, setQuery] = useState("");
+const [filterTag, setFilterTag] = useState("");
+const [dateRange, setDateRange] = useState({ from: "", to: "" });
+const [showImport, setShowImport] = useState(false);
+
+// Mode & Auth
+const [mode, setMode] = useState(() => localStorage.getItem(KEYS.mode) || "local"); // local | cloud
+const [user, setUser] = useState(null);
+const [authEmail, setAuthEmail] = useState("");
+const [authPassword, setAuthPassword] = useState("");
+// E2EE key (envelope.js), unlocked for the signed-in user until locked or signed out
+const [keyring, setKeyring] = useState({ userId: null, ring: null });
+const [newRecoveryKey, setNewRecoveryKey] = useState(null);
+
+// UI / other features
+const [view, setView] = useState("dashboard"); // dashboard, habits, pomodoro, reports, settings
+const [reportPeriod, setReportPeriod] = useState("last7");
+const [delivery, setDelivery] = useState(() => loadDeliverySettings(null));
+const [deliveryStatus, setDeliveryStatus] = useState({ sending: false, error: null });
+const [outbox, setOutbox] = useState([]);
+const [reminderSettings, setReminderSettings] = useState(loadReminderSettings);
+const [backupNotice, setBackupNotice] = useState(null);
+const [backups, setBackups] = useState({ userId: null, revision: -1, list: [] });
+const [backupsRevision, setBackupsRevision] = useState(0);
+const [habits, setHabits] = useSyncedList("habits", boot.habits, HABIT_STORE);
+/* with a passphrase, entries and habits sync end-to-end encrypted; without one only habits sync, in plain text */
+const activeKeyring = keyring.userId === (user?.id || null) ? keyring.ring : null;
+const recordCipher = useMemo(() => activeKeyring && envelopeCipher(activeKeyring, { legacySalt: user?.id }), [activeKeyring, user?.id]);
+const recordSync = useRecordSync({ client: supabase, userId: user?.id, cipher: recordCipher, enabled: mode === "cloud" && persistence.ready, entries, setEntries, habits, setHabits });
+const habitSync = useHabitSync({ client: supabase, userId: user?.id, enabled: mode === "cloud" && recordSync.status === "off", habits, setHabits });
+const pomodoro = usePomodoro({ onSessions: (sessions) => setEntries((s) => sessions.reduce(creditFocus, s)) });
+
+/* Persist locally */
+useEffect(() => localStorage.setItem(KEYS.mode, mode), [mode]);
+
+/* Supabase auth listener */
+useEffect(() => {
+if (!supabase) return;
+supabase.auth.getUser().then(({ data }) => setUser(data.user ?? null));
+const { data: sub } = supabase.auth.onAuthStateChange((_event, session) => setUser(session?.user ?? null));
+return () => sub.subscription.unsubscribe();
+}, []);
+
+/* report delivery settings are per user */
+useEffect(() => setDelivery(loadDeliverySettings(user?.id)), [user]);
+
+const transport = useMemo(
+() =>
+delivery.transport === "mock"
+? MOCK_TRANSPORT
+: createHttpSmtpTransport({
+endpoint: delivery.endpoint,
+getAuthToken: async () => (supabase ? (await supabase.auth.getSession()).data.session?.access_token : null),
+}),
+[delivery.transport, delivery.endpoint]
+);
+
+useScheduledReports({
+userId: user?.id,
+entries,
+ready: persistence.ready,
+schedule: delivery.schedule,
+transport,
+onChange: (next) => {
+setDelivery(next);
+setOutbox([...MOCK_TRANSPORT.outbox]);
+},
+onError: (e) => setDeliveryStatus({ sending: false, error: `Scheduled report failed: ${e.message}` }),
+});
+
+const reminders = useReminders(reminderSettings, entries);
+
+/* backups made offline wait here until the connection (and the user's session) is back */
+const backupQueue = useOfflineQueue("backups", {
+handlers: { backup: putBackup },
+ready: Boolean(user),
+onReplayed: (op) => {
+setBackupNotice(`Backup from ${new Date(op.queuedAt).toLocaleString()} uploaded.`);
+setBackupsRevision((n) => n + 1);
+},
+onError: (op, e) => setBackupNotice(`Queued backup could not be uploaded: ${e.message || e}`),
+});
+
+/* backup history, fetched when the settings are open and after each upload */
+useEffect(() => {
+if (view !== "settings" || !supabase || !user) return;
+let cancelled = false;
+listSnapshots(supabase, user.id).then(
+(list) => !cancelled && setBackups({ userId: user.id, revision: backupsRevision, list }),
+(e) => {
+if (cancelled) return;
+console.error("listing backups failed", e);
+setBackups({ userId: user.id, revision: backupsRevision, list: [] });
+setBackupNotice(`Could not load the backup history: ${e.message || e}`);
+}
+);
+return () => {
+cancelled = true;
+};
+}, [view, user, backupsRevision]);
+const backupList = backups.userId === user?.id ? backups.list : [];
+const backupsLoading = Boolean(user) && (backups.userId !== user.id || backups.revision !== backupsRevision);
+
+/* Storage maintenance */
+async function rollbackStorage() {
+const info = getSnapshotInfo();
+if (!info) return alert("No pre-migration snapshot found.");
+if (!confirm(`Restore the data as it was before the migration on ${new Date(info.takenAt).toLocaleString()}? Changes made since will be lost.`)) return;
+await rollbackPersistence();
+window.location.reload();
+}
+function retryMigration() {
+resumeMigrations();
+window.location.reload();
+}
+
+/* CRUD entries */
+function addEntry(e) {
+e?.preventDefault();
+const newEntry = {
+id: Date.now().toString(),
+date: form.date,
+plannedTasks: Number(form.plannedTasks) || 0,
+completedTasks: Number(form.completedTasks) || 0,
+tasksNotes: form.tasksNotes,
+wins: form.wins,
+challenges: form.challenges,
+mood: Number(form.mood) || 3,
+tags: form.tags.split(",").map((t) => t.trim()).filter(Boolean),
+minutesFocused: Number(form.minutesFocused) || 0,
+createdAt: new Date().toISOString(),
+};
+setEntries((s) => [newEntry, ...s]);
+setForm(getEmptyForm());
+}
+function removeEntry(id) {
+if (!confirm("Delete this entry?")) return;
+setEntries((s) => s.filter((r) => r.id !== id));
+}
+function importEntries(imported, policy) {
+setEntries((s) => imported.reduceRight((acc, entry) => applyDuplicatePolicy(acc, entry, policy), s));
+setShowImport(false);
+alert(`Imported ${imported.length} entries.`);
+}
+
+/* Filters */
+const filtered = useMemo(() => {
+return entries.filter((e) => {
+if (query) {
+const q = query.toLowerCase();
+if (!(e.tasksNotes || "").toLowerCase().includes(q) && !(e.wins || "").toLowerCase().includes(q) && !(e.challenges || "").toLowerCase().includes(q) && !(e.tags || []).join(", ").toLowerCase().includes(q)) return false;
+}
+if (filterTag && !(e.tags || []).includes(filterTag)) return false;
+if (dateRange.from && new Date(e.date) < new Date(dateRange.from)) return false;
+if (dateRange.to && new Date(e.date) > new Date(dateRange.to)) return false;
+return true;
+});
+}, [entries, query, filterTag, dateRange]);
+
+/* Basic analytics */
+const analytics = useMemo(() => {
+const days = entries.length || 0;
+const totalPlanned = entries.reduce((s, r) => s + (r.plannedTasks || 0), 0);
+const totalCompleted = entries.reduce((s, r) => s + (r.completedTasks || 0), 0);
+const avgTasksPerDay = days ? +(totalCompleted / days).toFixed(2) : 0;
+const successRate = totalPlanned ? +((totalCompleted / totalPlanned) * 100).toFixed(1) : null;
+const avgMood = days ? +(entries.reduce((s, r) => s + (r.mood || 0), 0) / days).toFixed(2) : null;
+const totalFocus = entries.reduce((s, r) => s + (r.minutesFocused || 0), 0);
+const tagCounts = {};
+entries.forEach((r) => (r.tags || []).forEach((t) => (tagCounts[t] = (tagCounts[t] || 0) + 1)));
+const tagData = Object.entries(tagCounts).map(([name, value]) => ({ name, value }));
+const trend = [...entries].slice(0, 60).reverse().map((r) => ({ date: r.date, completed: r.completedTasks })).slice(-30);
+return { days, totalPlanned, totalCompleted, avgTasksPerDay, successRate, avgMood, totalFocus, tagData, trend };
+}, [entries]);
+// Charts cover the last 30 days, by calendar day.
+const chartAnalytics = useMemo(() => summarize(entries, resolveWindow("30", null, entries)), [entries]);
+
+/* Reports */
+function generateReport(range = "weekly") {
+const period = range === "monthly" ? "last30" : "last7";
+return buildReport(entries, reportRange(period), `${range.charAt(0).toUpperCase() + range.slice(1)} report`);
+}
+function openReport(period) {
+setReportPeriod(period);
+setView("reports");
+}
+function downloadReportCSV(range = "weekly") {
+const r = generateReport(range);
+downloadCSV(toCSV(r.entries), `report-${range}-${localToday()}.csv`);
+}
+function updateDelivery(next) {
+setDelivery(next);
+saveDeliverySettings(user?.id, next);
+}
+function updateReminders(next) {
+setReminderSettings(next);
+saveReminderSettings(next);
+}
+async function emailReport(range = "weekly") {
+setDeliveryStatus({ sending: true, error: null });
+try {
+await sendReport(generateReport(range), delivery.to, transport);
+setDeliveryStatus({ sending: false, error: null });
+setOutbox([...MOCK_TRANSPORT.outbox]);
+alert(`Report sent to ${delivery.to}.`);
+} catch (e) {
+console.error(e);
+setDeliveryStatus({ sending: false, error: e.message });
+alert("Sending failed: " + (e.message || e));
+}
+}
+
+/* Cloud backups: a history of snapshots in 'progress_backups' (backups.js has the table definition) */
+async function uploadBackup() {
+if (!supabase) return alert("Supabase not configured (add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY).");
+if (!user) return alert("Sign in first.");
+if (!activeKeyring) return alert("Unlock the encryption key with your passphrase first.");
+let backup;
+try {
+const payload = JSON.stringify({ entries, habits, updatedAt: new Date().toISOString() });
+backup = {
+userId: user.id,
+encrypted: await sealEnvelope(activeKeyring, payload),
+entryCount: entries.length,
+habitCount: habits.filter((h) => !h.deletedAt).length,
+deviceLabel: getDeviceLabel(),
+createdAt: new Date().toISOString(),
+};
+if (!navigator.onLine) throw new TypeError("offline");
+await putBackup(backup);
+setBackupsRevision((n) => n + 1);
+alert("Encrypted backup uploaded.");
+} catch (e) {
+if (backup && isNetworkError(e)) {
+backupQueue.enqueue("backup", backup, `backup:${user.id}`);
+return alert("You're offline. The encrypted backup is queued and will be uploaded when the connection is back.");
+}
+console.error(e);
+alert("Upload failed: " + (e.message || e));
+}
+}
+async function putBackup({ userId, ...snapshot }) {
+if (!supabase) throw new Error("Supabase not configured.");
+if (user?.id !== userId) throw new Error("signed in as a different user");
+await saveSnapshot(supabase, { userId, ...snapshot });
+}
+async function readBackup(id) {
+const text = await loadSnapshot(supabase, user.id, id);
+const parsed = JSON.parse(await openEnvelope(activeKeyring, text, { legacySalt: user.id }));
+return {
+entries: (parsed.entries || []).map(repairEntry).filter(Boolean),
+habits: (parsed.habits || []).map(repairHabit).filter(Boolean),
+};
+}
+async function previewBackup(id) {
+return diffBackup({ entries, habits }, await readBackup(id));
+}
+async function restoreBackup(id, how) {
+const backup = await readBackup(id);
+const next = how === "merge" ? mergeBackup({ entries, habits }, backup) : backup;
+setEntries(next.entries);
+setHabits(next.habits);
+setBackupNotice(`Backup ${how === "merge" ? "merged into the current data" : "restored"}.`);
+}
+
+/* Encryption key. Only the wrapped key is kept (per user, in localStorage); the
+   newest copy in the cloud goes first, so a passphrase changed on another
+   device is picked up. Without one anywhere, the passphrase creates the key. */
+async function findKeyData() {
+const found = { sources: [], legacy: null };
+if (supabase && user) {
+try {
+const { data: backups } = await supabase.from("progress_backups").select("encrypted_payload").eq("user_id", user.id).order("created_at", { ascending: false }).limit(1);
+const { data: rows } = await supabase.from("encrypted_records").select("payload").eq("user_id", user.id).eq("deleted", false).order("synced_at", { ascending: false }).limit(1);
+[rows?.[0]?.payload, backups?.[0]?.encrypted_payload].filter(Boolean).forEach((text) => {
+if (envelopeVersion(text) === 1) found.legacy = found.legacy || text;
+else found.sources.push(text);
+});
+} catch (e) {
+console.warn("could not look up the key in the cloud", e);
+}
+}
+const saved = loadKeyringInfo(user?.id);
+if (saved) found.sources.push(saved);
+return found;
+}
+async function unlockFrom(sources, secret) {
+let lastError = null;
+for (const source of sources) {
+try {
+return await unlockKeyring(source, secret);
+} catch (e) {
+if (!(e instanceof WrongPassphraseError)) throw e;
+lastError = e;
+}
+}
+throw lastError;
+}
+function applyKeyring(ring) {
+saveKeyringInfo(user?.id, ring);
+setKeyring({ userId: user?.id || null, ring });
+}
+async function unlockEncryption(passphrase) {
+const { sources, legacy } = await findKeyData();
+if (sources.length) return applyKeyring(await unlockFrom(sources, { type: "passphrase", value: passphrase }));
+const { keyring: ring, recoveryKey } = await createKeyring(passphrase);
+// data from before envelopes can't check the passphrase; opening it does
+if (legacy) await openEnvelope(ring, legacy, { legacySalt: user?.id });
+applyKeyring(ring);
+setNewRecoveryKey(recoveryKey);
+}
+async function recoverEncryption(recoveryKey, passphrase) {
+const { sources } = await findKeyData();
+if (!sources.length) throw new Error("No encrypted data with a recovery key was found.");
+await replaceKeyring(await unlockFrom(sources, { type: "recovery", value: recoveryKey }), passphrase);
+}
+async function changePassphrase(passphrase) {
+await replaceKeyring(activeKeyring, passphrase);
+}
+// New key for the new passphrase, in use (and its recovery key shown) before
+// anything is rewritten. Backup snapshots are re-encrypted now, except ones
+// made with yet another passphrase; synced records are pushed again,
+// re-encrypted, by the next sync.
+async function replaceKeyring(old, passphrase) {
+const { keyring: ring, recoveryKey } = await createKeyring(passphrase);
+applyKeyring(ring);
+setNewRecoveryKey(recoveryKey);
+recordSync.reencryptAll();
+if (supabase && user) {
+await rewriteSnapshots(supabase, user.id, (text) =>
+reencrypt(old, ring, text, { legacySalt: user.id }).catch((e) => {
+if (e instanceof WrongPassphraseError) return text;
+throw e;
+})
+);
+}
+}
+
+/* Supabase auth helpers */
+async function signUp() {
+if (!supabase) return alert("Supabase not configured.");
+const { error } = await supabase.auth.signUp({ email: authEmail, password: authPassword });
+if (error) return alert("Sign up failed: " + error.message);
+alert("Check your email to confirm sign-up, then sign in.");
+}
+async function signIn() {
+if (!supabase) return alert("Supabase not configured.");
+const { data, error } = await supabase.auth.signInWithPassword({ email: authEmail, password: authPassword });
+if (error) return alert("Sign in failed: " + error.message);
+setUser(data.user);
+}
+async function signOut() {
+if (!supabase) return;
+await supabase.auth.signOut();
+setUser(null);
+}
+
+/* UI render */
+return ( <div className="min-h-screen bg-gray-50 p-4"> <div className="max-w-6xl mx-auto"> <header className="flex items-center justify-between mb-4"> <div> <h1 className="text-2xl font-bold">Daily Progress Tracker — v2</h1> <p className="text-sm text-gray-600">Local-first. Optional encrypted cloud backup (Supabase).</p> </div>
+
+{/* ``` */}
+      <nav className="flex gap-2 items-center">
+        <button onClick={() => setView("dashboard")} className="px-3 py-1 rounded" aria-pressed={view === "dashboard"}>Dashboard</button>
+        <button onClick={() => setView("habits")} className="px-3 py-1 rounded" aria-pressed={view === "habits"}>Habits</button>
+        <button onClick={() => setView("pomodoro")} className="px-3 py-1 rounded" aria-pressed={view === "pomodoro"}>Pomodoro</button>
+        <button onClick={() => setView("reports")} className="px-3 py-1 rounded" aria-pressed={view === "reports"}>Reports</button>
+        <button onClick={() => setView("settings")} className="px-3 py-1 rounded" aria-pressed={view === "settings"}>Settings</button>
+      </nav>
+    </header>
+
+    {persistence.error && (
+      <div className="mb-4 p-3 rounded bg-red-50 text-red-800 text-sm flex items-start gap-2">
+        <span className="flex-1">{persistence.error}</span>
+        <button onClick={clearPersistenceError} className="px-2 py-1 rounded bg-white border text-xs">Dismiss</button>
+      </div>
+    )}
+
+    <main className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <section className="lg:col-span-2">
+        {view === "dashboard" && (
+          <>
+            <form onSubmit={addEntry} className="p-4 bg-white rounded-lg shadow mb-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs">Date</label>
+                  <input required value={form.date} onChange={(e) => setForm((s) => ({ ...s, date: e.target.value }))} type="date" className="mt-1 w-full rounded p-2 border" />
+                </div>
+                <div>
+                  <label className="block text-xs">Mood</label>
+                  <input value={form.mood} onChange={(e) => setForm((s) => ({ ...s, mood: e.target.value }))} type="number" min={1} max={5} className="mt-1 w-full rounded p-2 border" />
+                </div>
+                <div>
+                  <label className="block text-xs">Planned tasks</label>
+                  <input value={form.plannedTasks} onChange={(e) => setForm((s) => ({ ...s, plannedTasks: e.target.value }))} type="number" className="mt-1 w-full rounded p-2 border" />
+                </div>
+                <div>
+                  <label className="block text-xs">Completed tasks</label>
+                  <input value={form.completedTasks} onChange={(e) => setForm((s) => ({ ...s, completedTasks: e.target.value }))} type="number" className="mt-1 w-full rounded p-2 border" />
+                </div>
+
+                <div className="md:col-span-2">
+                  <label className="block text-xs">Task notes</label>
+                  <textarea value={form.tasksNotes} onChange={(e) => setForm((s) => ({ ...s, tasksNotes: e.target.value }))} rows={3} className="mt-1 w-full rounded p-2 border" />
+                </div>
+
+                <div className="md:col-span-2">
+                  <label className="block text-xs">Wins</label>
+                  <input value={form.wins} onChange={(e) => setForm((s) => ({ ...s, wins: e.target.value }))} className="mt-1 w-full rounded p-2 border" />
+                </div>
+
+                <div className="md:col-span-2">
+                  <label className="block text-xs">Challenges</label>
+                  <input value={form.challenges} onChange={(e) => setForm((s) => ({ ...s, challenges: e.target.value }))} className="mt-1 w-full rounded p-2 border" />
+                </div>
+
+                <div>
+                  <label className="block text-xs">Minutes focused</label>
+                  <input value={form.minutesFocused} onChange={(e) => setForm((s) => ({ ...s, minutesFocused: e.target.value }))} type="number" className="mt-1 w-full rounded p-2 border" />
+                </div>
+
+                <div>
+                  <label className="block text-xs">Tags</label>
+                  <input value={form.tags} onChange={(e) => setForm((s) => ({ ...s, tags: e.target.value }))} placeholder="coding, health" className="mt-1 w-full rounded p-2 border" />
+                </div>
+              </div>
+
+              <div className="mt-3 flex gap-2">
+                <button className="px-4 py-2 rounded bg-blue-600 text-white">Save entry</button>
+                <button type="button" onClick={() => setForm(getEmptyForm())} className="px-3 py-1 rounded bg-gray-200">Reset</button>
+                <div className="ml-auto flex gap-2">
+                  <button type="button" onClick={() => setShowImport((v) => !v)} className="px-3 py-1 rounded bg-gray-200">Import CSV</button>
+                  <button type="button" onClick={() => downloadCSV(toCSV(entries), `all-entries-${localToday()}.csv`)} className="px-3 py-1 rounded bg-green-500 text-white">Export CSV</button>
+                </div>
+              </div>
+            </form>
+
+            {showImport && <div className="mb-4"><CsvImport entries={entries} onImport={importEntries} onClose={() => setShowImport(false)} /></div>}
+
+            <div className="p-4 bg-white rounded-lg shadow mb-4">
+              <div className="flex gap-2 mb-3">
+                <input placeholder="search notes/wins/challenges/tags" value={query} onChange={(e) => setQuery(e.target.value)} className="flex-1 p-2 border rounded" />
+                <input type="date" value={dateRange.from} onChange={(e) => setDateRange((s) => ({ ...s, from: e.target.value }))} className="p-2 border rounded" />
+                <input type="date" value={dateRange.to} onChange={(e) => setDateRange((s) => ({ ...s, to: e.target.value }))} className="p-2 border rounded" />
+                <input placeholder="filter tag" value={filterTag} onChange={(e) => setFilterTag(e.target.value)} className="p-2 border rounded" />
+                <button onClick={() => { setQuery(""); setFilterTag(""); setDateRange({ from: "", to: "" }); }} className="px-3 py-1 rounded bg-gray-200">Clear</button>
+              </div>
+
+              {filtered.length === 0 ? <p className="text-sm text-gray-500">No entries.</p> : (
+                <div className="space-y-2">
+                  {filtered.map((r) => (
+                    <article key={r.id} className="p-3 border rounded">
+                      <div className="text-sm text-gray-500">{r.date} • mood {r.mood} • {r.minutesFocused}m</div>
+                      <div className="font-medium">Planned: {r.plannedTasks} • Completed: {r.completedTasks}</div>
+                      <div className="mt-1 text-sm text-gray-700">{r.tasksNotes}</div>
+                      <div className="mt-2 text-xs text-green-700">Wins: {r.wins}</div>
+                      <div className="mt-1 text-xs text-red-600">Challenges: {r.challenges}</div>
+                      <div className="mt-2 text-xs text-gray-600">Tags: {(r.tags || []).join(", ")}</div>
+                      <div className="mt-2 flex gap-2"><button onClick={() => removeEntry(r.id)} className="px-2 py-1 border rounded">Delete</button></div>
+                    </article>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="p-4 bg-white rounded-lg shadow">
+              <h3 className="font-semibold">Quick analytics</h3>
+              <div className="grid grid-cols-2 gap-2 mt-2 text-sm text-gray-600">
+                <div>Days logged: <strong>{analytics.days}</strong></div>
+                <div>Completed total: <strong>{analytics.totalCompleted}</strong></div>
+                <div>Avg completed/day: <strong>{analytics.avgTasksPerDay}</strong></div>
+                <div>Avg mood: <strong>{analytics.avgMood ?? "—"}</strong></div>
+                <div>Total focused minutes: <strong>{analytics.totalFocus}</strong></div>
+                <div>Success rate: <strong>{analytics.successRate === null ? "—" : analytics.successRate + "%"}</strong></div>
+              </div>
+              <div className="mt-3 flex gap-2">
+                <button onClick={() => openReport("last7")} className="px-3 py-1 rounded bg-indigo-100">Weekly report</button>
+                <button onClick={() => downloadReportCSV("weekly")} className="px-3 py-1 rounded bg-gray-200">Download weekly CSV</button>
+                <button onClick={() => emailReport("weekly")} className="px-3 py-1 rounded bg-gray-200">Email weekly report</button>
+              </div>
+            </div>
+
+            <Dashboard key={user?.id || "local"} analytics={chartAnalytics} entries={entries} userId={user?.id} />
+          </>
+        )}
+
+        {view === "reports" && <ReportView entries={entries} period={reportPeriod} onPeriodChange={setReportPeriod} />}
+
+        {view === "settings" && (
+          <div className="space-y-4">
+            <ReportDeliverySettings settings={delivery} onChange={updateDelivery} onSendNow={emailReport} status={deliveryStatus} outbox={outbox} />
+            <ReminderSettings settings={reminderSettings} onChange={updateReminders} reminders={reminders} />
+          </div>
+        )}
+
+        {view === "habits" && (
+          <div className="p-4 bg-white rounded-lg shadow">
+            <h3 className="font-semibold">Habits</h3>
+            <HabitTracker
+              habits={habits}
+              onAdd={(habit) => setHabits((h) => [...h, habit])}
+              onRefresh={recordSync.status !== "off" ? recordSync.syncNow : habitSync.status !== "off" ? habitSync.syncNow : null}
+              status={<SyncStatus sync={recordSync.status !== "off" ? recordSync : habitSync} />}
+              onToggle={(id, date) => setHabits((h) => h.map((hb) => (hb.id === id ? toggleCompletion(hb, date) : hb)))}
+              onArchive={(id, archived) => setHabits((h) => h.map((hb) => (hb.id === id ? updateHabit(hb, { archived }) : hb)))}
+              onDelete={(id) => setHabits((h) => h.map((hb) => (hb.id === id ? updateHabit(hb, { deletedAt: new Date().toISOString() }) : hb)))}
+            />
+          </div>
+        )}
+
+        {view === "pomodoro" && <PomodoroPanel pomodoro={pomodoro} tags={analytics.tagData.map((t) => t.name)} />}
+      </section>
+
+      <aside className="lg:col-span-1">
+        <div className="p-4 bg-white rounded-lg shadow mb-4">
+          <h4 className="font-semibold">Cloud / Backup</h4>
+          <div className="mt-2 text-sm text-gray-700">
+            <div className="mb-2">Mode:
+              <select value={mode} onChange={(e) => setMode(e.target.value)} className="ml-2 p-1 border rounded">
+                <option value="local">Local only</option>
+                <option value="cloud">Cloud (encrypted)</option>
+              </select>
+            </div>
+
+            <div className="mb-2">
+              {supabase ? (user ? <div>Signed in as {user.email} <button onClick={() => signOut()} className="ml-2 px-2 py-1 border rounded">Sign out</button></div> : (
+                <div>
+                  <label className="block text-xs">Email</label>
+                  <input value={authEmail} onChange={(e) => setAuthEmail(e.target.value)} className="w-full p-2 border rounded" />
+                  <label className="block text-xs mt-2">Password</label>
+                  <input type="password" value={authPassword} onChange={(e) => setAuthPassword(e.target.value)} className="w-full p-2 border rounded" />
+                  <div className="flex gap-2 mt-2">
+                    <button onClick={() => signIn()} className="px-2 py-1 rounded bg-blue-600 text-white">Sign in</button>
+                    <button onClick={() => signUp()} className="px-2 py-1 rounded bg-gray-200">Sign up</button>
+                  </div>
+                </div>
+              )) : <div className="text-sm text-gray-500">Supabase not configured. Add keys in .env to enable cloud features.</div>}
+            </div>
+
+            <div className="mb-2">
+              <EncryptionSettings
+                unlocked={Boolean(activeKeyring)}
+                hasKeyring={Boolean(loadKeyringInfo(user?.id))}
+                label={user?.email || "This device"}
+                onUnlock={unlockEncryption}
+                onRecover={recoverEncryption}
+                onChangePassphrase={changePassphrase}
+                onLock={() => setKeyring({ userId: user?.id || null, ring: null })}
+                recoveryKey={newRecoveryKey}
+                onRecoveryKeySaved={() => setNewRecoveryKey(null)}
+              />
+            </div>
+
+            {mode === "cloud" && user && (
+              <div className="mb-2 flex flex-wrap items-center gap-2">
+                {recordSync.status === "off" ? (
+                  <span className="text-xs text-gray-500">Unlock the encryption key to sync entries and habits end-to-end encrypted.</span>
+                ) : (
+                  <>
+                    <SyncStatus sync={recordSync} />
+                    <button onClick={() => recordSync.syncNow()} className="px-2 py-1 rounded bg-gray-200 text-xs">Sync now</button>
+                  </>
+                )}
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              <button onClick={() => uploadBackup()} className="px-3 py-1 rounded bg-green-600 text-white">Upload Encrypted Backup</button>
+            </div>
+            {backupQueue.pending.length > 0 && (
+              <div className="mt-2 text-xs text-amber-700">Backup queued {new Date(backupQueue.pending[backupQueue.pending.length - 1].queuedAt).toLocaleString()}, waiting for a connection.</div>
+            )}
+            {backupNotice && <div className="mt-2 text-xs text-gray-600">{backupNotice}</div>}
+            {user && (
+              <div className="mt-3 border-t pt-3">
+                <BackupHistory
+                  snapshots={backupList}
+                  loading={backupsLoading}
+                  locked={!activeKeyring}
+                  onRefresh={() => setBackupsRevision((n) => n + 1)}
+                  onPreview={previewBackup}
+                  onRestore={restoreBackup}
+                />
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="p-4 bg-white rounded-lg shadow mb-4">
+          <h4 className="font-semibold">Reports & Export</h4>
+          <div className="mt-2 flex flex-col gap-2">
+            <button onClick={() => openReport("last7")} className="px-3 py-1 rounded bg-indigo-100">Open weekly report</button>
+            <button onClick={() => downloadReportCSV("weekly")} className="px-3 py-1 rounded bg-gray-200">Download weekly CSV</button>
+            <button onClick={() => emailReport("weekly")} className="px-3 py-1 rounded bg-gray-200">Email weekly report</button>
+            <div className="border-t pt-2 mt-2 text-xs text-gray-600">Monthly:</div>
+            <button onClick={() => openReport("last30")} className="px-3 py-1 rounded bg-indigo-100">Open monthly report</button>
+            <button onClick={() => downloadReportCSV("monthly")} className="px-3 py-1 rounded bg-gray-200">Download monthly CSV</button>
+            <button onClick={() => emailReport("monthly")} className="px-3 py-1 rounded bg-gray-200">Email monthly report</button>
+          </div>
+        </div>
+
+        <div className="p-4 bg-white rounded-lg shadow mb-4">
+          <h4 className="font-semibold">Storage</h4>
+          <div className="mt-2 text-xs text-gray-600">Schema v{boot.migration.to}{boot.migration.paused ? " (migrations paused)" : ""} • {persistence.ready ? persistence.backend : "loading…"}</div>
+          {storageNotices.length > 0 && (
+            <ul className="mt-2 text-xs text-yellow-800 bg-yellow-50 rounded p-2 list-disc pl-5 space-y-1">
+              {storageNotices.map((n) => <li key={n}>{n}</li>)}
+            </ul>
+          )}
+          <div className="mt-2 flex flex-wrap gap-2">
+            {storageNotices.length > 0 && <button onClick={() => setStorageNotices([])} className="px-2 py-1 rounded bg-gray-200 text-xs">Dismiss</button>}
+            {boot.migration.paused ? (
+              <button onClick={retryMigration} className="px-2 py-1 rounded border text-xs">Retry migration</button>
+            ) : getSnapshotInfo() && (
+              <button onClick={rollbackStorage} className="px-2 py-1 rounded border text-xs">Roll back last migration</button>
+            )}
+          </div>
+        </div>
+
+        <div className="p-4 bg-white rounded-lg shadow">
+          <h4 className="font-semibold">Integrations</h4>
+          <div className="mt-2 text-sm text-gray-600">Smartwatch / Health integrations planned: Apple Health / Google Fit requires OAuth & server-side tokens. I can scaffold this next if desired.</div>
+        </div>
+      </aside>
+    </main>
+
+    <footer className="mt-6 text-sm text-center text-gray-500">Local-first. Cloud optional. Exports are CSV (re-importable), Markdown/HTML/PDF reports & emailed reports. Backups are client-side encrypted.</footer>
+  </div>
+</div>
+// ```
+
+);
+}
+
+/* ----------------- Small components & helpers ----------------- */
+
+function getEmptyForm() {
+return { date: localToday(), plannedTasks: "", completedTasks: "", tasksNotes: "", wins: "", challenges: "", mood: 3, tags: "", minutesFocused: "" };
+}
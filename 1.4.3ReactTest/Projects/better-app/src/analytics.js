@@ -0,0 +1,164 @@
+// src/analytics.js
+// Aggregates over a calendar window of days. Entries are grouped by their
+// date, so several entries on one day count as one logged day, and days
+// without an entry show up as zeros instead of being skipped.
+
+import { addDays, eachDay, isValidDate, localToday, parseLocalDate } from "./dates";
+
+export const ANALYTICS_WINDOWS = {
+  7: "Last 7 days",
+  30: "Last 30 days",
+  90: "Last 90 days",
+  365: "Last 365 days",
+  custom: "Custom",
+};
+
+// { from, to } for a window key. A custom window missing its start begins at
+// the first entry; one missing its end finishes today.
+export function resolveWindow(key, custom, entries, today = localToday()) {
+  if (key !== "custom") return { from: addDays(today, 1 - Number(key)), to: today };
+  const first = entries.reduce((min, e) => (isValidDate(e.date) && e.date < min ? e.date : min), today);
+  const from = isValidDate(custom.from) ? custom.from : first;
+  const to = isValidDate(custom.to) ? custom.to : today;
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
+// One row per calendar day of the window.
+export function dailySeries(entries, { from, to }) {
+  const byDate = groupByDate(entries, from, to);
+  return eachDay(from, to).map((date) => {
+    const day = byDate.get(date) || [];
+    const moods = day.map((e) => Number(e.mood)).filter((m) => m > 0);
+    return {
+      date,
+      entries: day.length,
+      planned: sum(day, "plannedTasks"),
+      completed: sum(day, "completedTasks"),
+      minutes: sum(day, "minutesFocused"),
+      mood: moods.length ? +(moods.reduce((s, m) => s + m, 0) / moods.length).toFixed(2) : null,
+    };
+  });
+}
+
+export function summarize(entries, range) {
+  const inWindow = entries.filter((e) => e.date >= range.from && e.date <= range.to);
+  const series = dailySeries(inWindow, range);
+  const logged = series.filter((d) => d.entries > 0);
+  const days = logged.length;
+  const totalPlanned = sum(series, "planned");
+  const totalCompleted = sum(series, "completed");
+  const moodDays = logged.filter((d) => d.mood !== null);
+
+  const tagCounts = {};
+  inWindow.forEach((r) => (r.tags || []).forEach((t) => (tagCounts[t] = (tagCounts[t] || 0) + 1)));
+
+  return {
+    range,
+    windowDays: series.length,
+    days,
+    totalPlanned,
+    totalCompleted,
+    avgTasksPerDay: days ? +(totalCompleted / days).toFixed(2) : 0,
+    successRate: totalPlanned ? +((totalCompleted / totalPlanned) * 100).toFixed(1) : null,
+    avgMood: moodDays.length ? +(moodDays.reduce((s, d) => s + d.mood, 0) / moodDays.length).toFixed(2) : null,
+    totalFocus: sum(series, "minutes"),
+    tagData: Object.entries(tagCounts).map(([name, value]) => ({ name, value })),
+    trend: series,
+  };
+}
+
+// Average of each of `keys` over the `size` days ending at each day of
+// `series`. Empty days count as zero for totals; mood skips days without one.
+export function rollingAverages(series, keys, size = 7) {
+  return series.map((day, i) => {
+    const span = series.slice(Math.max(0, i - size + 1), i + 1);
+    const row = { date: day.date };
+    keys.forEach((key) => {
+      const values = span.map((d) => d[key]).filter((v) => v !== null && v !== undefined);
+      row[key] = values.length ? +(values.reduce((s, v) => s + v, 0) / values.length).toFixed(2) : null;
+    });
+    return row;
+  });
+}
+
+// Entries per week for the `limit` most used tags in the window. Weeks start
+// at `range.from`; returns { tags, rows: [{ week, [tag]: count }] }.
+export function tagTrend(entries, range, limit = 5) {
+  const inWindow = entries.filter((e) => e.date >= range.from && e.date <= range.to);
+  const totals = {};
+  inWindow.forEach((e) => (e.tags || []).forEach((t) => (totals[t] = (totals[t] || 0) + 1)));
+  const tags = Object.keys(totals)
+    .sort((a, b) => totals[b] - totals[a])
+    .slice(0, limit);
+
+  const rows = [];
+  for (let week = range.from; week <= range.to; week = addDays(week, 7)) {
+    const end = addDays(week, 6);
+    const row = { week };
+    tags.forEach((t) => (row[t] = 0));
+    inWindow.forEach((e) => {
+      if (e.date < week || e.date > end) return;
+      (e.tags || []).forEach((t) => t in row && row[t]++);
+    });
+    rows.push(row);
+  }
+  return { tags, rows };
+}
+
+// Per-weekday averages over logged days, Monday first.
+export function weekdayBreakdown(series) {
+  const names = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  const byDay = names.map((day) => ({ day, days: 0, planned: 0, completed: 0, minutes: 0 }));
+  series.forEach((d) => {
+    if (!d.entries) return;
+    const w = byDay[parseLocalDate(d.date).getDay()];
+    w.days++;
+    w.planned += d.planned;
+    w.completed += d.completed;
+    w.minutes += d.minutes;
+  });
+  return [...byDay.slice(1), byDay[0]].map((w) => ({
+    day: w.day,
+    days: w.days,
+    completed: w.days ? +(w.completed / w.days).toFixed(2) : 0,
+    minutes: w.days ? Math.round(w.minutes / w.days) : 0,
+    rate: w.planned ? Math.round((w.completed / w.planned) * 100) : null,
+  }));
+}
+
+// Logging streaks up to `today`. Today only breaks the current streak once it
+// is over, so an unlogged today still shows yesterday's streak. Missed days
+// are unlogged days since the first entry.
+export function loggingStreaks(entries, today = localToday()) {
+  const logged = new Set(entries.map((e) => e.date).filter((d) => isValidDate(d) && d <= today));
+  if (!logged.size) return { current: 0, longest: 0, missed: 0, missedDates: new Set() };
+
+  const first = [...logged].sort()[0];
+  const last = logged.has(today) ? today : addDays(today, -1);
+  let longest = 0;
+  let run = 0;
+  const missedDates = new Set();
+  eachDay(first, last).forEach((date) => {
+    if (logged.has(date)) {
+      run++;
+      longest = Math.max(longest, run);
+    } else {
+      run = 0;
+      missedDates.add(date);
+    }
+  });
+  return { current: run, longest, missed: missedDates.size, missedDates };
+}
+
+function groupByDate(entries, from, to) {
+  const byDate = new Map();
+  entries.forEach((e) => {
+    if (e.date < from || e.date > to) return;
+    byDate.set(e.date, [...(byDate.get(e.date) || []), e]);
+  });
+  return byDate;
+}
+
+function sum(list, key) {
+  return list.reduce((s, r) => s + (Number(r[key]) || 0), 0);
+}
@@ -0,0 +1,171 @@
+// src/backups.js
+// Backup history in the Supabase `progress_backups` table: every upload is a
+// new row and only the oldest beyond BACKUP_HISTORY_LIMIT are removed, so a
+// bad upload never replaces the last good copy.
+//
+//   create table progress_backups (
+//     id text primary key,
+//     user_id uuid not null references auth.users on delete cascade,
+//     encrypted_payload text not null,
+//     created_at timestamptz not null default now(),
+//     updated_at timestamptz not null default now(),
+//     entry_count integer,
+//     habit_count integer,
+//     device_label text
+//   );
+//   create index on progress_backups (user_id, created_at desc);
+//   alter table progress_backups enable row level security;
+//   create policy "own backups" on progress_backups for all
+//     using (auth.uid() = user_id) with check (auth.uid() = user_id);
+//
+// Tables from the one-backup-per-user days only need the new columns (the
+// old row, whose id is the user id, becomes the first snapshot):
+//   alter table progress_backups
+//     add column if not exists created_at timestamptz not null default now(),
+//     add column if not exists entry_count integer,
+//     add column if not exists habit_count integer,
+//     add column if not exists device_label text;
+//
+// The counts and device label are stored in the clear so the history can be
+// listed without the passphrase; the data itself is an envelope (envelope.js).
+
+import { canonicalJSON } from "./records";
+import { mergeHabit } from "./habitSync";
+
+const TABLE = "progress_backups";
+const LIST_COLUMNS = "id, created_at, updated_at, entry_count, habit_count, device_label";
+const DEVICE_LABEL_KEY = "dpt_device_label";
+
+export const BACKUP_HISTORY_LIMIT = 10;
+
+/* ----------------- device label ----------------- */
+
+// "Chrome on Windows" and the like, unless the user named the device.
+export function getDeviceLabel() {
+  const saved = localStorage.getItem(DEVICE_LABEL_KEY);
+  if (saved) return saved;
+  const ua = typeof navigator === "undefined" ? "" : navigator.userAgent;
+  const browser = /Edg\//.test(ua) ? "Edge" : /Firefox\//.test(ua) ? "Firefox" : /Chrome\//.test(ua) ? "Chrome" : /Safari\//.test(ua) ? "Safari" : "Browser";
+  const os = /Android/.test(ua) ? "Android" : /iPhone|iPad/.test(ua) ? "iOS" : /Windows/.test(ua) ? "Windows" : /Mac OS/.test(ua) ? "macOS" : /Linux/.test(ua) ? "Linux" : "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+export function setDeviceLabel(label) {
+  if (label && label.trim()) localStorage.setItem(DEVICE_LABEL_KEY, label.trim());
+  else localStorage.removeItem(DEVICE_LABEL_KEY);
+}
+
+/* ----------------- table ----------------- */
+
+// Adds a snapshot, then drops the oldest beyond `keep`. Returns the new row's
+// metadata.
+export async function saveSnapshot(client, { userId, encrypted, entryCount, habitCount, deviceLabel = getDeviceLabel(), createdAt = new Date().toISOString(), keep = BACKUP_HISTORY_LIMIT }) {
+  const row = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    encrypted_payload: encrypted,
+    created_at: createdAt,
+    updated_at: new Date().toISOString(),
+    entry_count: entryCount,
+    habit_count: habitCount,
+    device_label: deviceLabel,
+  };
+  const { error } = await client.from(TABLE).insert(row);
+  if (error) throw error;
+  await pruneSnapshots(client, userId, keep);
+  return toSnapshot(row);
+}
+
+export async function pruneSnapshots(client, userId, keep = BACKUP_HISTORY_LIMIT) {
+  const old = (await listSnapshots(client, userId)).slice(keep);
+  if (!old.length) return 0;
+  const { error } = await client.from(TABLE).delete().eq("user_id", userId).in("id", old.map((s) => s.id));
+  if (error) throw error;
+  return old.length;
+}
+
+// Newest first: { id, createdAt, entryCount, habitCount, deviceLabel }.
+export async function listSnapshots(client, userId) {
+  const { data, error } = await client.from(TABLE).select(LIST_COLUMNS).eq("user_id", userId).order("created_at", { ascending: false });
+  if (error) throw error;
+  return (data || []).map(toSnapshot).sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+}
+
+// The encrypted payload of one snapshot, or of the newest when `id` is omitted.
+export async function loadSnapshot(client, userId, id) {
+  let q = client.from(TABLE).select("id, encrypted_payload").eq("user_id", userId);
+  q = id ? q.eq("id", id) : q.order("created_at", { ascending: false }).limit(1);
+  const { data, error } = await q;
+  if (error) throw error;
+  if (!data?.length) throw new Error(id ? "That backup no longer exists." : "No backup found.");
+  return data[0].encrypted_payload;
+}
+
+// Rewrites every snapshot's payload with `transform(payload)`, e.g. to
+// re-encrypt after a passphrase change; payloads returned unchanged are not
+// written. Returns how many were rewritten.
+export async function rewriteSnapshots(client, userId, transform) {
+  const { data, error } = await client.from(TABLE).select("id, encrypted_payload").eq("user_id", userId);
+  if (error) throw error;
+  let rewritten = 0;
+  for (const row of data || []) {
+    const payload = await transform(row.encrypted_payload);
+    if (payload === row.encrypted_payload) continue;
+    const { error: updateError } = await client.from(TABLE).update({ encrypted_payload: payload, updated_at: new Date().toISOString() }).eq("id", row.id);
+    if (updateError) throw updateError;
+    rewritten++;
+  }
+  return rewritten;
+}
+
+function toSnapshot(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at || row.updated_at || null,
+    entryCount: row.entry_count ?? null,
+    habitCount: row.habit_count ?? null,
+    deviceLabel: row.device_label || null,
+  };
+}
+
+/* ----------------- restoring ----------------- */
+
+// What replacing `current` with `backup` would do, by id:
+// { added, removed, changed, unchanged } counts.
+export function diffRecords(current, backup) {
+  const mine = new Map(current.map((r) => [r.id, r]));
+  const theirs = new Set(backup.map((r) => r.id));
+  const diff = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  backup.forEach((r) => {
+    if (!mine.has(r.id)) diff.added++;
+    else if (canonicalJSON(mine.get(r.id)) === canonicalJSON(r)) diff.unchanged++;
+    else diff.changed++;
+  });
+  current.forEach((r) => {
+    if (!theirs.has(r.id)) diff.removed++;
+  });
+  return diff;
+}
+
+// Diff summary for a backup ({ entries, habits }) against the current data.
+// Habits deleted on either side are left out, as they are not shown.
+export function diffBackup(current, backup) {
+  const visible = (habits) => habits.filter((h) => !h.deletedAt);
+  return {
+    entries: diffRecords(current.entries, backup.entries),
+    habits: diffRecords(visible(current.habits), visible(backup.habits)),
+  };
+}
+
+// Merge-restore: entries only in the backup come back and current ones are
+// kept as they are; habits are merged per field and per day (habitSync.js).
+export function mergeBackup(current, backup) {
+  const entryIds = new Set(current.entries.map((e) => e.id));
+  const restored = backup.entries.filter((e) => !entryIds.has(e.id));
+  const theirs = new Map(backup.habits.map((h) => [h.id, h]));
+  const habitIds = new Set(current.habits.map((h) => h.id));
+  return {
+    entries: [...restored, ...current.entries],
+    habits: [...current.habits.map((h) => mergeHabit(h, theirs.get(h.id))), ...backup.habits.filter((h) => !habitIds.has(h.id))],
+  };
+}
@@ -0,0 +1,38 @@
+// src/chartTheme.js
+// Colours for recharts, and the cards around them, that follow the system
+// light/dark colour scheme.
+
+import { useSyncExternalStore } from "react";
+
+export const CHART_THEMES = {
+  light: {
+    palette: ["#4ade80", "#f59e0b", "#f97316", "#ef4444", "#60a5fa"],
+    grid: "#e5e7eb",
+    axis: "#6b7280",
+    tooltip: { backgroundColor: "#ffffff", border: "1px solid #e5e7eb", color: "#111827" },
+    surface: { backgroundColor: "#ffffff", color: "#111827" },
+  },
+  dark: {
+    palette: ["#86efac", "#fcd34d", "#fdba74", "#fca5a5", "#93c5fd"],
+    grid: "#374151",
+    axis: "#9ca3af",
+    tooltip: { backgroundColor: "#1f2937", border: "1px solid #374151", color: "#f9fafb" },
+    surface: { backgroundColor: "#1f2937", color: "#f9fafb" },
+  },
+};
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+function subscribe(onChange) {
+  const media = window.matchMedia?.(DARK_QUERY);
+  media?.addEventListener("change", onChange);
+  return () => media?.removeEventListener("change", onChange);
+}
+
+function isDark() {
+  return Boolean(window.matchMedia?.(DARK_QUERY).matches);
+}
+
+export function useChartTheme() {
+  return CHART_THEMES[useSyncExternalStore(subscribe, isDark) ? "dark" : "light"];
+}
@@ -0,0 +1,98 @@
+import { useState } from "react";
+
+function describeDiff(label, d) {
+  const parts = [d.added && `${d.added} added`, d.removed && `${d.removed} removed`, d.changed && `${d.changed} changed`].filter(Boolean);
+  return `${label}: ${parts.length ? parts.join(", ") : "no differences"}${d.unchanged ? ` (${d.unchanged} the same)` : ""}`;
+}
+
+// Cloud backup snapshots, newest first. Picking one decrypts it and shows what
+// restoring would change (`onPreview(id)` resolves to diffBackup()'s result)
+// before it is merged into or replaces the current data (`onRestore(id, how)`
+// with how = "merge" | "replace").
+function BackupHistory({ snapshots, loading, locked, onRefresh, onPreview, onRestore }) {
+  const [selected, setSelected] = useState(null);
+  const [preview, setPreview] = useState(null); // { id, diff } | { id, error }
+  const [busy, setBusy] = useState(false);
+
+  async function pick(id) {
+    setSelected(id);
+    setPreview(null);
+    if (locked) return;
+    setBusy(true);
+    try {
+      setPreview({ id, diff: await onPreview(id) });
+    } catch (e) {
+      setPreview({ id, error: e.message || String(e) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function restore(how) {
+    if (how === "replace" && !confirm("Replace your current entries and habits with this backup? Anything not in it will be removed.")) return;
+    setBusy(true);
+    try {
+      await onRestore(selected, how);
+      setSelected(null);
+      setPreview(null);
+    } catch (e) {
+      setPreview({ id: selected, error: e.message || String(e) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const shown = preview?.id === selected ? preview : null;
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center gap-2">
+        <span className="font-medium flex-1">Backup history</span>
+        <button onClick={onRefresh} disabled={loading} className="px-2 py-1 rounded bg-gray-200 text-xs disabled:opacity-50">{loading ? "Loading…" : "Refresh"}</button>
+      </div>
+      {snapshots.length === 0 ? (
+        <p className="mt-1 text-xs text-gray-500">{loading ? "Loading backups…" : "No backups yet."}</p>
+      ) : (
+        <ul className="mt-1 max-h-48 overflow-y-auto divide-y border rounded">
+          {snapshots.map((s) => (
+            <li key={s.id}>
+              <button onClick={() => pick(s.id)} aria-pressed={selected === s.id} className={`w-full text-left px-2 py-1 ${selected === s.id ? "bg-blue-50" : ""}`}>
+                <div>{s.createdAt ? new Date(s.createdAt).toLocaleString() : "Unknown date"}</div>
+                <div className="text-xs text-gray-600">
+                  {s.entryCount ?? "?"} entries • {s.habitCount ?? "?"} habits{s.deviceLabel ? ` • ${s.deviceLabel}` : ""}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selected && (
+        <div className="mt-2 p-2 border rounded bg-gray-50">
+          {locked ? (
+            <p className="text-xs text-gray-600">Unlock the encryption key to look inside this backup.</p>
+          ) : !shown ? (
+            <p className="text-xs text-gray-600">{busy ? "Decrypting…" : ""}</p>
+          ) : shown.error ? (
+            <p className="text-xs text-red-700" role="alert">{shown.error}</p>
+          ) : (
+            <>
+              <div className="text-xs text-gray-600">Restoring this backup in place of the current data:</div>
+              <ul className="mt-1 text-xs list-disc pl-4">
+                <li>{describeDiff("Entries", shown.diff.entries)}</li>
+                <li>{describeDiff("Habits", shown.diff.habits)}</li>
+              </ul>
+              <p className="mt-1 text-xs text-gray-500">Merging only brings back what the current data is missing and keeps your newer changes.</p>
+              <div className="mt-2 flex gap-2">
+                <button onClick={() => restore("merge")} disabled={busy} className="px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50">Merge into current</button>
+                <button onClick={() => restore("replace")} disabled={busy} className="px-3 py-1 rounded bg-red-100 text-red-700 disabled:opacity-50">Replace current</button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BackupHistory;
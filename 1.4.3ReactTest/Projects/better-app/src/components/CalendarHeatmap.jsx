@@ -0,0 +1,101 @@
+import { useMemo, useState } from "react";
+import { dailySeries, loggingStreaks } from "../analytics";
+import { addDays, localToday, parseLocalDate } from "../dates";
+
+const METRICS = {
+  completed: { label: "Completed tasks", value: (d) => d.completed, format: (v) => `${v} completed` },
+  minutes: { label: "Focus minutes", value: (d) => d.minutes, format: (v) => `${v}m focus` },
+  mood: { label: "Mood", value: (d) => d.mood, format: (v) => `mood ${v}` },
+  rate: {
+    label: "Success rate",
+    value: (d) => (d.planned ? Math.round((d.completed / d.planned) * 100) : null),
+    format: (v) => `${v}% done`,
+  },
+};
+
+const LEVELS = ["bg-green-100", "bg-green-300", "bg-green-500", "bg-green-700"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Year-at-a-glance grid of days (one column per week, Sunday on top) coloured
+// by the chosen metric, with logging streaks. Clicking a day calls
+// `onSelectDay(date)`.
+function CalendarHeatmap({ entries, onSelectDay }) {
+  const [metric, setMetric] = useState("completed");
+  const today = localToday();
+
+  const weeks = useMemo(() => {
+    const start = addDays(today, -364 - parseLocalDate(today).getDay());
+    const days = dailySeries(entries, { from: start, to: today });
+    const columns = [];
+    for (let i = 0; i < days.length; i += 7) columns.push(days.slice(i, i + 7));
+    return columns;
+  }, [entries, today]);
+
+  const streaks = useMemo(() => loggingStreaks(entries, today), [entries, today]);
+
+  const { value, format } = METRICS[metric];
+  const max = Math.max(0, ...weeks.flat().map((d) => value(d) || 0));
+  const level = (v) => (v > 0 && max > 0 ? Math.min(LEVELS.length - 1, Math.floor((v / max) * LEVELS.length)) : -1);
+
+  function cellClass(day) {
+    if (!day.entries) return streaks.missedDates.has(day.date) ? "bg-gray-200" : "bg-gray-100";
+    const l = level(value(day));
+    return l < 0 ? "bg-green-50 border border-green-200" : LEVELS[l];
+  }
+
+  function title(day) {
+    if (!day.entries) return `${day.date}: ${streaks.missedDates.has(day.date) ? "missed" : "no entry"}`;
+    const v = value(day);
+    return `${day.date}: ${v === null ? "—" : format(v)}${day.entries > 1 ? ` (${day.entries} entries)` : ""}`;
+  }
+
+  return (
+    <div className="mt-6 p-4 bg-white rounded-2xl shadow">
+      <div className="flex items-center gap-2 mb-3">
+        <h2 className="font-semibold">Past year</h2>
+        <select value={metric} onChange={(e) => setMetric(e.target.value)} className="ml-auto p-1 border rounded text-sm">
+          {Object.entries(METRICS).map(([key, m]) => (
+            <option key={key} value={key}>{m.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="inline-flex gap-0.5">
+          {weeks.map((week) => {
+            const first = parseLocalDate(week[0].date);
+            return (
+              <div key={week[0].date} className="flex flex-col gap-0.5">
+                <div className="h-3 text-[9px] leading-3 text-gray-500">{first.getDate() <= 7 ? MONTHS[first.getMonth()] : ""}</div>
+                {week.map((day) => (
+                  <button
+                    key={day.date}
+                    type="button"
+                    title={title(day)}
+                    onClick={() => onSelectDay(day.date)}
+                    className={`w-3 h-3 rounded-sm ${cellClass(day)} ${day.date === today ? "ring-1 ring-blue-500" : ""}`}
+                  />
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-gray-600">
+        <div>Current streak: <strong>{streaks.current}</strong> day(s)</div>
+        <div>Longest streak: <strong>{streaks.longest}</strong> day(s)</div>
+        <div>Missed days: <strong>{streaks.missed}</strong></div>
+        <div className="ml-auto flex items-center gap-1 text-xs">
+          Less
+          {["bg-gray-100", ...LEVELS].map((c) => (
+            <span key={c} className={`inline-block w-3 h-3 rounded-sm ${c}`} />
+          ))}
+          More
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalendarHeatmap;
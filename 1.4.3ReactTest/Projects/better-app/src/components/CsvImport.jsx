@@ -0,0 +1,148 @@
+import { useMemo, useState } from "react";
+import { CSV_HEADER, buildImportPreview, guessMapping, parseCSV } from "../csv";
+import { DUPLICATE_POLICIES } from "../duplicates";
+
+// Import flow for CSV files: pick a file, map its columns onto entry fields,
+// review the validated preview, then import the rows that passed. Rows whose
+// date already has an entry follow the duplicate policy (chosen here when the
+// app's policy is "ask"), which is passed to `onImport` with the rows.
+function CsvImport({ entries, policy = "ask", onImport, onClose }) {
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [fileName, setFileName] = useState("");
+  const [sameDatePolicy, setSameDatePolicy] = useState(policy === "ask" ? "" : policy);
+
+  const header = useMemo(() => {
+    if (!rows.length) return [];
+    return hasHeader ? rows[0] : rows[0].map((_, i) => `Column ${i + 1}`);
+  }, [rows, hasHeader]);
+
+  const preview = useMemo(() => {
+    const body = hasHeader ? rows.slice(1) : rows;
+    return buildImportPreview(body, mapping, entries, hasHeader ? 2 : 1);
+  }, [rows, hasHeader, mapping, entries]);
+
+  const importable = preview.filter((p) => p.errors.length === 0 && !p.duplicate);
+  const invalidCount = preview.filter((p) => p.errors.length > 0).length;
+  const duplicateCount = preview.filter((p) => p.duplicate).length;
+  const taken = new Set(entries.filter((e) => !e.deletedAt).map((e) => e.date));
+  const sameDateCount = importable.filter((p) => {
+    const clash = taken.has(p.entry.date);
+    taken.add(p.entry.date);
+    return clash;
+  }).length;
+
+  async function loadFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const parsed = parseCSV(await file.text());
+    setFileName(file.name);
+    setRows(parsed);
+    setHasHeader(true);
+    setMapping(guessMapping(parsed[0] || []));
+  }
+
+  function toggleHeader(checked) {
+    setHasHeader(checked);
+    setMapping(checked ? guessMapping(rows[0] || []) : Object.fromEntries(CSV_HEADER.map((f, i) => [f, i < (rows[0] || []).length ? i : -1])));
+  }
+
+  return (
+    <div className="mt-4 p-4 bg-white rounded-2xl shadow text-left">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold">Import CSV</h2>
+        <button type="button" onClick={onClose} className="px-3 py-1 rounded bg-gray-200 text-sm">Close</button>
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-sm">
+        <input type="file" accept=".csv,text/csv" onChange={loadFile} />
+        {rows.length > 0 && (
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={hasHeader} onChange={(e) => toggleHeader(e.target.checked)} />
+            First row is a header
+          </label>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <h3 className="mt-4 text-sm font-medium">Column mapping for {fileName}</h3>
+          <div className="mt-2 grid grid-cols-2 md:grid-cols-5 gap-2 text-xs">
+            {CSV_HEADER.map((field) => (
+              <label key={field} className="block">
+                <span className="text-gray-700">{field}</span>
+                <select
+                  value={mapping[field] ?? -1}
+                  onChange={(e) => setMapping((m) => ({ ...m, [field]: Number(e.target.value) }))}
+                  className="mt-1 w-full p-1 border rounded"
+                >
+                  <option value={-1}>— skip —</option>
+                  {header.map((name, i) => (
+                    <option key={i} value={i}>{name}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="mt-4 text-sm text-gray-600">
+            {importable.length} ready • {invalidCount} with errors • {duplicateCount} already in the journal
+          </div>
+
+          {sameDateCount > 0 && (
+            <label className="mt-2 flex items-center gap-2 text-sm">
+              {sameDateCount} row(s) fall on a date that already has an entry:
+              <select value={sameDatePolicy} onChange={(e) => setSameDatePolicy(e.target.value)} className="p-1 border rounded">
+                {!sameDatePolicy && <option value="">Choose…</option>}
+                {Object.entries(DUPLICATE_POLICIES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <div className="mt-2 max-h-72 overflow-auto border rounded">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="p-1 text-left">Line</th>
+                  <th className="p-1 text-left">Date</th>
+                  <th className="p-1 text-left">Planned / done</th>
+                  <th className="p-1 text-left">Notes</th>
+                  <th className="p-1 text-left">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((p) => (
+                  <tr key={p.line} className={p.errors.length ? "bg-red-50" : p.duplicate ? "bg-yellow-50" : ""}>
+                    <td className="p-1">{p.line}</td>
+                    <td className="p-1">{p.entry.date || "—"}</td>
+                    <td className="p-1">{p.entry.plannedTasks} / {p.entry.completedTasks}</td>
+                    <td className="p-1 truncate max-w-xs">{p.entry.tasksNotes}</td>
+                    <td className="p-1">
+                      {p.errors.length ? <span className="text-red-700">{p.errors.join("; ")}</span> : p.duplicate ? "duplicate, skipped" : "ok"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-3 flex gap-2">
+            <button
+              type="button"
+              disabled={importable.length === 0 || (sameDateCount > 0 && !sameDatePolicy)}
+              onClick={() => onImport(importable.map((p) => p.entry), sameDatePolicy || "keep")}
+              className="px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-50"
+            >
+              Import {importable.length} entries
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CsvImport;
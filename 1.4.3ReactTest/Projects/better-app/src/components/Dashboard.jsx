@@ -0,0 +1,206 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  PieChart,
+  Pie,
+  Cell,
+  Tooltip,
+  Legend,
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  ResponsiveContainer,
+} from "recharts";
+import { rollingAverages, tagTrend, weekdayBreakdown } from "../analytics";
+import { useChartTheme } from "../chartTheme";
+import { loadLayout, moveWidget, saveLayout } from "../dashboard";
+
+const shortDate = (d) => d.slice(5);
+
+// Each widget gets { analytics, entries, theme } and draws one chart, or
+// returns null when there is nothing to show yet.
+const WIDGETS = {
+  tags: {
+    title: "Tag distribution",
+    empty: "Add entries with tags to see tag distribution.",
+    render: ({ analytics, theme }) =>
+      analytics.tagData.length > 0 && (
+        <PieChart>
+          <Pie data={analytics.tagData} dataKey="value" nameKey="name" outerRadius={65}>
+            {analytics.tagData.map((entry, index) => (
+              <Cell key={`cell-${index}`} fill={theme.palette[index % theme.palette.length]} />
+            ))}
+          </Pie>
+          <Tooltip contentStyle={theme.tooltip} />
+        </PieChart>
+      ),
+  },
+  completed: {
+    title: "Completed tasks per day",
+    empty: "Complete entries to populate trends.",
+    render: ({ analytics, theme }) =>
+      analytics.totalCompleted > 0 && (
+        <BarChart data={analytics.trend}>
+          {axes(theme)}
+          <Bar dataKey="completed" fill={theme.palette[0]} />
+        </BarChart>
+      ),
+  },
+  moodFocus: {
+    title: "Mood and focus",
+    empty: "Log mood and focused minutes to see them over time.",
+    render: ({ analytics, theme }) =>
+      analytics.days > 0 && (
+        <LineChart data={analytics.trend}>
+          {axes(theme)}
+          <YAxis yAxisId="mood" orientation="right" domain={[1, 5]} stroke={theme.axis} width={20} />
+          <Legend />
+          <Line yAxisId="mood" dataKey="mood" name="mood" stroke={theme.palette[4]} dot={false} connectNulls />
+          <Line dataKey="minutes" name="focus (min)" stroke={theme.palette[1]} dot={false} />
+        </LineChart>
+      ),
+  },
+  plannedCompleted: {
+    title: "Planned vs completed",
+    empty: "Plan tasks to compare them with what got done.",
+    render: ({ analytics, theme }) =>
+      analytics.totalPlanned > 0 && (
+        <BarChart data={analytics.trend.map((d) => ({ ...d, open: Math.max(0, d.planned - d.completed) }))}>
+          {axes(theme)}
+          <Legend />
+          <Bar dataKey="completed" name="completed" stackId="tasks" fill={theme.palette[0]} />
+          <Bar dataKey="open" name="not done" stackId="tasks" fill={theme.palette[3]} />
+        </BarChart>
+      ),
+  },
+  rolling: {
+    title: "7-day rolling averages",
+    empty: "Log a few days to see rolling averages.",
+    render: ({ analytics, theme }) =>
+      analytics.days > 0 && (
+        <LineChart data={rollingAverages(analytics.trend, ["completed", "minutes", "mood"])}>
+          {axes(theme)}
+          <YAxis yAxisId="minutes" orientation="right" stroke={theme.axis} width={30} />
+          <Legend />
+          <Line dataKey="completed" stroke={theme.palette[0]} dot={false} />
+          <Line dataKey="mood" stroke={theme.palette[4]} dot={false} connectNulls />
+          <Line yAxisId="minutes" dataKey="minutes" name="focus (min)" stroke={theme.palette[1]} dot={false} />
+        </LineChart>
+      ),
+  },
+  tagTrend: {
+    title: "Tags per week",
+    empty: "Add entries with tags to see how they change over time.",
+    render: ({ analytics, entries, theme }) => {
+      const { tags, rows } = tagTrend(entries, analytics.range);
+      return (
+        tags.length > 0 && (
+          <LineChart data={rows}>
+            {axes(theme, "week")}
+            <Legend />
+            {tags.map((tag, i) => (
+              <Line key={tag} dataKey={tag} stroke={theme.palette[i % theme.palette.length]} dot={false} />
+            ))}
+          </LineChart>
+        )
+      );
+    },
+  },
+  weekday: {
+    title: "By weekday",
+    empty: "Log a few days to compare weekdays.",
+    render: ({ analytics, theme }) =>
+      analytics.days > 0 && (
+        <BarChart data={weekdayBreakdown(analytics.trend)}>
+          {axes(theme, "day", (d) => d)}
+          <YAxis yAxisId="minutes" orientation="right" stroke={theme.axis} width={30} />
+          <Legend />
+          <Bar dataKey="completed" name="avg completed" fill={theme.palette[0]} />
+          <Bar yAxisId="minutes" dataKey="minutes" name="avg focus (min)" fill={theme.palette[1]} />
+        </BarChart>
+      ),
+  },
+};
+
+// Grid, axes and tooltip shared by the charts. Returned as plain elements
+// (not wrapped in a component) so recharts sees them as direct children.
+function axes(theme, dataKey = "date", format = shortDate) {
+  return [
+    <CartesianGrid key="grid" strokeDasharray="3 3" stroke={theme.grid} />,
+    <XAxis key="x" dataKey={dataKey} tickFormatter={format} minTickGap={12} stroke={theme.axis} />,
+    <YAxis key="y" stroke={theme.axis} width={30} />,
+    <Tooltip key="tooltip" contentStyle={theme.tooltip} />,
+  ];
+}
+
+// Chart widgets the user can add, remove and reorder. The layout is saved
+// per user.
+function Dashboard({ analytics, entries, userId }) {
+  const theme = useChartTheme();
+  const [layout, setLayout] = useState(() => loadLayout(userId, Object.keys(WIDGETS)));
+  const [adding, setAdding] = useState("");
+
+  useEffect(() => {
+    saveLayout(userId, layout);
+  }, [userId, layout]);
+
+  const hidden = useMemo(() => Object.keys(WIDGETS).filter((id) => !layout.includes(id)), [layout]);
+
+  return (
+    <div className="p-4 rounded-2xl shadow" style={theme.surface}>
+      <h3 className="font-semibold">Charts</h3>
+
+      {layout.length === 0 && <p className="mt-2 text-sm text-gray-500">No charts on the dashboard. Add one below.</p>}
+
+      {layout.map((id, i) => {
+        const widget = WIDGETS[id];
+        const chart = widget.render({ analytics, entries, theme });
+        return (
+          <div key={id} className="mt-4">
+            <div className="flex items-center gap-1 text-sm">
+              <span className="font-medium">{widget.title}</span>
+              <button onClick={() => setLayout(moveWidget(layout, id, -1))} disabled={i === 0} aria-label={`Move ${widget.title} up`} className="ml-auto px-1 disabled:opacity-30">↑</button>
+              <button onClick={() => setLayout(moveWidget(layout, id, 1))} disabled={i === layout.length - 1} aria-label={`Move ${widget.title} down`} className="px-1 disabled:opacity-30">↓</button>
+              <button onClick={() => setLayout(layout.filter((w) => w !== id))} aria-label={`Remove ${widget.title}`} className="px-1 text-gray-500">✕</button>
+            </div>
+            <div style={{ width: "100%", height: 180 }} className="mt-1">
+              {chart ? (
+                <ResponsiveContainer width="100%" height={180}>
+                  {chart}
+                </ResponsiveContainer>
+              ) : (
+                <div className="text-sm text-gray-500">{widget.empty}</div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {hidden.length > 0 && (
+        <div className="mt-4 flex gap-2">
+          <select value={adding} onChange={(e) => setAdding(e.target.value)} className="flex-1 p-1 border rounded text-sm" style={theme.surface}>
+            <option value="">Add a chart…</option>
+            {hidden.map((id) => (
+              <option key={id} value={id}>{WIDGETS[id].title}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => {
+              setLayout([...layout, adding]);
+              setAdding("");
+            }}
+            disabled={!adding}
+            className="px-3 py-1 rounded border text-sm disabled:opacity-40"
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Dashboard;
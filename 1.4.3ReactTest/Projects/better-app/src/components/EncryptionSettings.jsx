@@ -0,0 +1,148 @@
+import { useState } from "react";
+import { esc, printHTML } from "../report";
+
+const MIN_PASSPHRASE = 8;
+
+// Printable sheet with the recovery key.
+function recoverySheetHTML(recoveryKey, label) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Recovery key</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111827; max-width: 640px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  .key { font-family: ui-monospace, monospace; font-size: 1.4rem; letter-spacing: 0.05em; padding: 1rem; border: 2px dashed #6b7280; text-align: center; }
+  .muted { color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>Daily Progress Tracker recovery key</h1>
+<p class="muted">${esc(label)} • created ${new Date().toLocaleString()}</p>
+<p class="key">${esc(recoveryKey)}</p>
+<p>This key opens your encrypted backups and synced data if you forget your passphrase. Keep it somewhere safe and private; anyone with it can read your data.</p>
+<p class="muted">It stops working for new data when you change your passphrase; you will get a new one then.</p>
+</body>
+</html>
+`;
+}
+
+// Unlocking, passphrase change and recovery for the encryption key (see
+// envelope.js). The callbacks return promises; their errors are shown here.
+// `recoveryKey` is a newly created key to show until `onRecoveryKeySaved()`.
+function EncryptionSettings({ unlocked, hasKeyring, label, onUnlock, onRecover, onChangePassphrase, onLock, recoveryKey, onRecoveryKeySaved }) {
+  const [form, setForm] = useState(null); // null | "recover" | "change"
+  const [values, setValues] = useState({ passphrase: "", recoveryKey: "", next: "", confirm: "" });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const set = (field) => (e) => setValues({ ...values, [field]: e.target.value });
+
+  async function run(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setForm(null);
+      setValues({ passphrase: "", recoveryKey: "", next: "", confirm: "" });
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function checkNew() {
+    if (values.next.length < MIN_PASSPHRASE) throw new Error(`Use at least ${MIN_PASSPHRASE} characters.`);
+    if (values.next !== values.confirm) throw new Error("The passphrases don't match.");
+  }
+
+  const newPassphraseFields = (
+    <>
+      <label className="block text-xs mt-2">New passphrase</label>
+      <input type="password" value={values.next} onChange={set("next")} className="w-full p-2 border rounded" autoComplete="new-password" />
+      <label className="block text-xs mt-2">Repeat new passphrase</label>
+      <input type="password" value={values.confirm} onChange={set("confirm")} className="w-full p-2 border rounded" autoComplete="new-password" />
+    </>
+  );
+
+  return (
+    <div className="text-sm">
+      {recoveryKey && (
+        <div className="mb-3 p-3 border-2 border-dashed border-amber-400 rounded bg-amber-50">
+          <div className="font-medium">Your recovery key</div>
+          <div className="my-2 font-mono text-base break-all select-all">{recoveryKey}</div>
+          <p className="text-xs text-gray-600">It opens your encrypted data if you forget the passphrase. It is not stored anywhere; print it or write it down now.</p>
+          <div className="mt-2 flex gap-2">
+            <button onClick={() => printHTML(recoverySheetHTML(recoveryKey, label))} className="px-2 py-1 rounded bg-gray-200">Print</button>
+            <button onClick={onRecoveryKeySaved} className="px-2 py-1 rounded bg-amber-600 text-white">I've saved it</button>
+          </div>
+        </div>
+      )}
+
+      {unlocked ? (
+        <div>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">Encryption key unlocked</span>
+            <button onClick={() => setForm(form === "change" ? null : "change")} className="px-2 py-1 rounded bg-gray-200 text-xs">Change passphrase</button>
+            <button onClick={onLock} className="px-2 py-1 rounded bg-gray-200 text-xs">Lock</button>
+          </div>
+          {form === "change" && (
+            <form
+              className="mt-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                run(async () => {
+                  checkNew();
+                  await onChangePassphrase(values.next);
+                });
+              }}
+            >
+              {newPassphraseFields}
+              <p className="mt-1 text-xs text-gray-500">Your backup and synced data are re-encrypted with the new passphrase, and you get a new recovery key.</p>
+              <button type="submit" disabled={busy} className="mt-2 px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50">{busy ? "Re-encrypting…" : "Change passphrase"}</button>
+            </form>
+          )}
+        </div>
+      ) : form === "recover" ? (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(async () => {
+              checkNew();
+              await onRecover(values.recoveryKey, values.next);
+            });
+          }}
+        >
+          <label className="block text-xs">Recovery key</label>
+          <input value={values.recoveryKey} onChange={set("recoveryKey")} className="w-full p-2 border rounded font-mono" placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX" />
+          {newPassphraseFields}
+          <div className="mt-2 flex gap-2">
+            <button type="submit" disabled={busy} className="px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50">{busy ? "Recovering…" : "Recover"}</button>
+            <button type="button" onClick={() => setForm(null)} className="px-3 py-1 rounded bg-gray-200">Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(() => onUnlock(values.passphrase));
+          }}
+        >
+          <label className="block text-xs">Backup passphrase</label>
+          <div className="flex gap-2">
+            <input type="password" value={values.passphrase} onChange={set("passphrase")} className="flex-1 p-2 border rounded" placeholder="Used to encrypt backups and synced data" autoComplete="current-password" />
+            <button type="submit" disabled={busy || !values.passphrase} className="px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-50">{busy ? "Unlocking…" : "Unlock"}</button>
+          </div>
+          <div className="mt-1 text-xs text-gray-500">
+            {hasKeyring ? "Enter your passphrase." : "Use the passphrase from your other devices, or choose one to create your key (you'll get a recovery key to keep)."}{" "}
+            <button type="button" onClick={() => setForm("recover")} className="underline">Forgot it? Use the recovery key</button>
+          </div>
+        </form>
+      )}
+      {error && <div className="mt-2 text-xs text-red-700" role="alert">{error}</div>}
+    </div>
+  );
+}
+
+export default EncryptionSettings;
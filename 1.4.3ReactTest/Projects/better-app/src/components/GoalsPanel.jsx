@@ -0,0 +1,96 @@
+import { useMemo, useState } from "react";
+import { GOAL_METRICS, GOAL_PERIODS, describeGoal, evaluateGoal, newGoal } from "../goals";
+
+const EMPTY_DRAFT = { metric: "focus", comparator: ">=", target: "", period: "week", tag: "" };
+
+// Goal list with progress for the current period, a forecast and the last
+// few periods, plus a small form for adding goals.
+function GoalsPanel({ goals, entries, tags, onChange }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [adding, setAdding] = useState(false);
+  const results = useMemo(() => goals.map((g) => ({ goal: g, ...evaluateGoal(g, entries) })), [goals, entries]);
+
+  function add(e) {
+    e.preventDefault();
+    if (draft.target === "" || isNaN(Number(draft.target))) return;
+    onChange([...goals, newGoal(draft)]);
+    setDraft(EMPTY_DRAFT);
+    setAdding(false);
+  }
+
+  return (
+    <div className="p-4 bg-white rounded-2xl shadow mb-4">
+      <div className="flex items-center">
+        <h3 className="font-semibold">Goals</h3>
+        <button onClick={() => setAdding((v) => !v)} className="ml-auto px-2 py-1 rounded border text-xs">
+          {adding ? "Cancel" : "Add goal"}
+        </button>
+      </div>
+
+      {adding && (
+        <form onSubmit={add} className="mt-2 grid grid-cols-2 gap-2 text-xs">
+          <select value={draft.comparator} onChange={(e) => setDraft({ ...draft, comparator: e.target.value })} className="p-1 border rounded">
+            <option value=">=">at least (≥)</option>
+            <option value="<=">at most (≤)</option>
+          </select>
+          <input type="number" step="any" required placeholder="target" value={draft.target} onChange={(e) => setDraft({ ...draft, target: e.target.value })} className="p-1 border rounded" />
+          <select value={draft.metric} onChange={(e) => setDraft({ ...draft, metric: e.target.value })} className="p-1 border rounded">
+            {Object.entries(GOAL_METRICS).map(([key, m]) => (
+              <option key={key} value={key}>{m.label}</option>
+            ))}
+          </select>
+          <select value={draft.period} onChange={(e) => setDraft({ ...draft, period: e.target.value })} className="p-1 border rounded">
+            {Object.entries(GOAL_PERIODS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <select value={draft.tag} onChange={(e) => setDraft({ ...draft, tag: e.target.value })} className="p-1 border rounded">
+            <option value="">any tag</option>
+            {tags.map((t) => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </select>
+          <button type="submit" className="px-2 py-1 rounded bg-blue-600 text-white">Save goal</button>
+        </form>
+      )}
+
+      {results.length === 0 ? (
+        <p className="mt-2 text-sm text-gray-500">No goals yet. Try "≥ 600 focus minutes per week" or "log 5 days a week".</p>
+      ) : (
+        <ul className="mt-2 space-y-3">
+          {results.map(({ goal, current, history }) => {
+            const good = current.met || current.onTrack;
+            return (
+              <li key={goal.id} className="text-sm">
+                <div className="flex items-start gap-2">
+                  <span className="font-medium">{describeGoal(goal)}</span>
+                  <button onClick={() => onChange(goals.filter((g) => g.id !== goal.id))} aria-label="Remove goal" className="ml-auto text-xs text-gray-500">✕</button>
+                </div>
+                <div className="mt-1 h-2 rounded bg-gray-100 overflow-hidden">
+                  <div className={`h-2 ${good ? "bg-green-500" : "bg-yellow-500"}`} style={{ width: `${Math.min(100, Math.round(current.progress * 100))}%` }} />
+                </div>
+                <div className="mt-1 text-xs text-gray-600">
+                  {current.value === null ? "No data yet this period" : `${current.value} of ${goal.target}`}
+                  {current.met
+                    ? " • reached"
+                    : current.forecast !== null && ` • forecast ${current.forecast} — ${current.onTrack ? "on track" : "off track"}`}
+                </div>
+                <div className="mt-1 flex gap-1" aria-label="Past periods">
+                  {history.map((h) => (
+                    <span
+                      key={h.range.from}
+                      title={`${h.range.from} – ${h.range.to}: ${h.value ?? "no data"}`}
+                      className={`inline-block w-3 h-3 rounded-sm ${h.met === null ? "bg-gray-200" : h.met ? "bg-green-500" : "bg-red-400"}`}
+                    />
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default GoalsPanel;
@@ -0,0 +1,219 @@
+import { useMemo, useState } from "react";
+import { Bar, BarChart, CartesianGrid, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { HABIT_SCHEDULES, describeSchedule, doneDates, habitSchedule, habitStreak, isDue, monthGrid, monthlyRates, newHabit } from "../habits";
+import { addDays, localToday, parseLocalDate } from "../dates";
+import { useChartTheme } from "../chartTheme";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const GRID_HEADER = ["M", "T", "W", "T", "F", "S", "S"];
+const EMPTY_DRAFT = { name: "", type: "daily", days: [1, 2, 3, 4, 5], times: 3 };
+
+function shiftMonth(month, n) {
+  const d = parseLocalDate(`${month}-01`);
+  const next = new Date(d.getFullYear(), d.getMonth() + n, 1);
+  return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// Habit list with the last week's days (click to mark, click again to undo),
+// schedule-aware streaks, archiving, and per-habit month grid and completion
+// chart. `onAdd(habit)`, `onToggle(id, date)`, `onArchive(id, archived)`,
+// `onDelete(id)`; `status` is shown next to the refresh button.
+function HabitTracker({ habits, onAdd, onToggle, onArchive, onDelete, onRefresh, status }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [openId, setOpenId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const today = localToday();
+  const week = useMemo(() => Array.from({ length: 7 }, (_, i) => addDays(today, i - 6)), [today]);
+
+  const active = habits.filter((h) => !h.archived && !h.deletedAt);
+  const archived = habits.filter((h) => h.archived && !h.deletedAt);
+
+  function add(e) {
+    e.preventDefault();
+    const name = draft.name.trim();
+    if (!name || (draft.type === "weekdays" && !draft.days.length)) return;
+    const schedule = draft.type === "weekdays" ? { type: "weekdays", days: draft.days } : draft.type === "weekly" ? { type: "weekly", times: draft.times } : { type: "daily" };
+    onAdd(newHabit(name, schedule));
+    setDraft(EMPTY_DRAFT);
+  }
+
+  const toggleDraftDay = (day) => setDraft((d) => ({ ...d, days: d.days.includes(day) ? d.days.filter((x) => x !== day) : [...d.days, day].sort() }));
+
+  return (
+    <div>
+      <form onSubmit={add} className="space-y-2">
+        <div className="flex flex-wrap gap-2">
+          <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Habit name" className="flex-1 min-w-[10rem] p-2 border rounded" />
+          <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })} className="p-2 border rounded">
+            {Object.entries(HABIT_SCHEDULES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          {draft.type === "weekly" && (
+            <input type="number" min={1} max={7} value={draft.times} onChange={(e) => setDraft({ ...draft, times: Math.min(7, Math.max(1, Number(e.target.value) || 1)) })} className="w-16 p-2 border rounded" aria-label="Times per week" />
+          )}
+          <button type="submit" className="px-3 py-1 bg-blue-600 text-white rounded">Add</button>
+        </div>
+        {draft.type === "weekdays" && (
+          <div className="flex flex-wrap gap-1">
+            {[1, 2, 3, 4, 5, 6, 0].map((day) => (
+              <button
+                key={day}
+                type="button"
+                onClick={() => toggleDraftDay(day)}
+                aria-pressed={draft.days.includes(day)}
+                className={`px-2 py-0.5 rounded text-xs border ${draft.days.includes(day) ? "bg-blue-600 text-white" : ""}`}
+              >
+                {WEEKDAYS[day]}
+              </button>
+            ))}
+          </div>
+        )}
+      </form>
+      {(onRefresh || status) && (
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          {onRefresh && <button onClick={onRefresh} className="px-3 py-1 bg-gray-700 text-white rounded">Sync now</button>}
+          {status}
+        </div>
+      )}
+
+      <ul className="mt-3 space-y-2">
+        {active.length === 0 ? (
+          <li className="text-sm text-gray-500">No habits yet.</li>
+        ) : (
+          active.map((h) => (
+            <HabitRow
+              key={h.id}
+              habit={h}
+              week={week}
+              today={today}
+              open={openId === h.id}
+              onOpen={() => setOpenId(openId === h.id ? null : h.id)}
+              onToggle={(date) => onToggle(h.id, date)}
+              onArchive={() => onArchive(h.id, true)}
+            />
+          ))
+        )}
+      </ul>
+
+      {archived.length > 0 && (
+        <div className="mt-4 text-sm">
+          <button onClick={() => setShowArchived((v) => !v)} className="text-gray-600 underline">
+            {showArchived ? "Hide" : "Show"} archived ({archived.length})
+          </button>
+          {showArchived && (
+            <ul className="mt-2 space-y-1">
+              {archived.map((h) => (
+                <li key={h.id} className="flex items-center gap-2 p-2 border rounded text-gray-600">
+                  <span className="flex-1">{h.name} • {describeSchedule(habitSchedule(h))} • {doneDates(h).length} done</span>
+                  <button onClick={() => onArchive(h.id, false)} className="px-2 py-1 rounded bg-gray-200 text-xs">Restore</button>
+                  <button onClick={() => confirm(`Delete "${h.name}" and its history?`) && onDelete(h.id)} className="px-2 py-1 rounded bg-red-100 text-red-700 text-xs">Delete</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HabitRow({ habit, week, today, open, onOpen, onToggle, onArchive }) {
+  const streak = useMemo(() => habitStreak(habit, today), [habit, today]);
+  const done = new Set(doneDates(habit));
+  const schedule = habitSchedule(habit);
+
+  return (
+    <li className="p-2 border rounded">
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={onOpen} className="flex-1 text-left" aria-expanded={open}>
+          <div className="font-medium">{habit.name}</div>
+          <div className="text-xs text-gray-600">
+            {describeSchedule(schedule)} • streak {streak.current} {streak.unit}{streak.current === 1 ? "" : "s"} (best {streak.longest})
+          </div>
+        </button>
+        <div className="flex gap-1">
+          {week.map((date) => {
+            const due = isDue(habit, date);
+            return (
+              <button
+                key={date}
+                onClick={() => onToggle(date)}
+                title={`${date}${done.has(date) ? ": done (click to undo)" : due ? "" : ": not scheduled"}`}
+                aria-pressed={done.has(date)}
+                className={`w-7 h-7 rounded text-[10px] border ${done.has(date) ? "bg-green-600 text-white border-green-600" : due ? "bg-white" : "bg-gray-100 text-gray-400"} ${date === today ? "ring-1 ring-blue-500" : ""}`}
+              >
+                {WEEKDAYS[parseLocalDate(date).getDay()].slice(0, 2)}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+      {open && <HabitDetails habit={habit} today={today} onToggle={onToggle} onArchive={onArchive} />}
+    </li>
+  );
+}
+
+function HabitDetails({ habit, today, onToggle, onArchive }) {
+  const theme = useChartTheme();
+  const [month, setMonth] = useState(today.slice(0, 7));
+  const grid = useMemo(() => monthGrid(habit, month, today), [habit, month, today]);
+  const rates = useMemo(() => monthlyRates(habit, 6, today), [habit, today]);
+  const monthLabel = parseLocalDate(`${month}-01`).toLocaleDateString([], { month: "long", year: "numeric" });
+
+  return (
+    <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <div className="flex items-center gap-2 text-sm">
+          <button onClick={() => setMonth(shiftMonth(month, -1))} className="px-2 rounded bg-gray-100" aria-label="Previous month">‹</button>
+          <span className="flex-1 text-center">{monthLabel}</span>
+          <button onClick={() => setMonth(shiftMonth(month, 1))} disabled={month >= today.slice(0, 7)} className="px-2 rounded bg-gray-100 disabled:opacity-40" aria-label="Next month">›</button>
+        </div>
+        <table className="mt-2 w-full text-center text-xs">
+          <thead>
+            <tr>{GRID_HEADER.map((d, i) => <th key={i} className="font-normal text-gray-500">{d}</th>)}</tr>
+          </thead>
+          <tbody>
+            {grid.map((row, i) => (
+              <tr key={i}>
+                {row.map((cell, j) => (
+                  <td key={j} className="p-0.5">
+                    {cell && (
+                      <button
+                        onClick={() => onToggle(cell.date)}
+                        disabled={cell.future}
+                        title={cell.date}
+                        className={`w-full h-7 rounded ${cell.done ? "bg-green-600 text-white" : cell.future ? "text-gray-300" : cell.due ? "bg-gray-50 border" : "text-gray-400"} ${cell.date === today ? "ring-1 ring-blue-500" : ""}`}
+                      >
+                        {Number(cell.date.slice(8))}
+                      </button>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="mt-1 text-xs text-gray-500">Click a past day to mark it done or undo it.</p>
+      </div>
+
+      <div>
+        <div className="text-sm">Completion rate by month</div>
+        <div style={{ height: 160 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={rates}>
+              <CartesianGrid stroke={theme.grid} strokeDasharray="3 3" />
+              <XAxis dataKey="label" stroke={theme.axis} fontSize={11} />
+              <YAxis domain={[0, 100]} stroke={theme.axis} fontSize={11} unit="%" width={40} />
+              <Tooltip contentStyle={theme.tooltip} formatter={(v) => (v === null ? "no data" : `${v}%`)} />
+              <Bar dataKey="rate" fill={theme.palette[0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <button onClick={onArchive} className="mt-2 px-2 py-1 rounded bg-gray-200 text-xs">Archive habit</button>
+      </div>
+    </div>
+  );
+}
+
+export default HabitTracker;
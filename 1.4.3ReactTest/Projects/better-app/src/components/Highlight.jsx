@@ -0,0 +1,15 @@
+import { highlightSegments } from "../searchIndex";
+
+// Renders `text` with the words matched by a search wrapped in <mark>.
+function Highlight({ text, words }) {
+  if (!words || words.length === 0) return text || null;
+  return highlightSegments(text, words).map((seg, i) =>
+    seg.match ? (
+      <mark key={i} className="bg-yellow-200 rounded px-0.5">{seg.text}</mark>
+    ) : (
+      seg.text
+    )
+  );
+}
+
+export default Highlight;
@@ -0,0 +1,28 @@
+const TONES = {
+  positive: "bg-green-50 text-green-800",
+  neutral: "bg-blue-50 text-blue-800",
+  warning: "bg-yellow-50 text-yellow-800",
+};
+
+// Suggestions computed from the journal, each with the numbers behind it.
+function InsightsPanel({ insights }) {
+  return (
+    <div className="p-4 bg-white rounded-2xl shadow mb-4">
+      <h3 className="font-semibold">Insights</h3>
+      {insights.length === 0 ? (
+        <p className="mt-2 text-sm text-gray-500">Keep logging mood, focus and tasks — insights appear once there are a few days of data to compare.</p>
+      ) : (
+        <ul className="mt-2 space-y-2">
+          {insights.map((insight) => (
+            <li key={insight.id} className={`p-2 rounded text-xs ${TONES[insight.tone]}`}>
+              <div>{insight.text}</div>
+              <div className="mt-1 opacity-75">{insight.evidence}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default InsightsPanel;
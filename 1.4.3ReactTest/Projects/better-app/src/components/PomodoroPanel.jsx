@@ -0,0 +1,109 @@
+import { PHASES } from "../pomodoro";
+
+function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+const NUMBER_FIELDS = [
+  ["workMinutes", "Focus (min)", 1, 180],
+  ["shortBreakMinutes", "Short break (min)", 1, 60],
+  ["longBreakMinutes", "Long break (min)", 1, 120],
+  ["longBreakEvery", "Long break every", 2, 12],
+];
+
+// Timer controls, settings and the log of finished focus sessions. Takes the
+// object returned by usePomodoro.
+function PomodoroPanel({ pomodoro, tags = [] }) {
+  const { timer, settings, remainingMs, todaySessions, todayMinutes, sessions } = pomodoro;
+  const running = timer.status === "running";
+  const progress = 1 - remainingMs / timer.durationMs;
+  const setSetting = (key, value) => pomodoro.setSettings({ ...settings, [key]: value });
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow">
+      <h3 className="font-semibold">Pomodoro</h3>
+
+      <div className="mt-3 text-center">
+        <div className={`text-sm font-medium ${timer.phase === "work" ? "text-red-600" : "text-green-600"}`}>{PHASES[timer.phase]}</div>
+        <div className="text-5xl font-mono tabular-nums">{formatClock(remainingMs)}</div>
+        <div className="mt-2 h-1.5 bg-gray-200 rounded">
+          <div className={`h-1.5 rounded ${timer.phase === "work" ? "bg-red-500" : "bg-green-500"}`} style={{ width: `${Math.min(100, progress * 100)}%` }} />
+        </div>
+        <div className="mt-2 flex justify-center gap-1" title="Focus sessions until the long break">
+          {Array.from({ length: settings.longBreakEvery }, (_, i) => (
+            <span key={i} className={`w-2 h-2 rounded-full ${i < timer.cycle ? "bg-red-500" : "bg-gray-300"}`} />
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap justify-center gap-2">
+        {running ? (
+          <button onClick={pomodoro.pause} className="px-3 py-1 rounded bg-blue-600 text-white">Pause</button>
+        ) : (
+          <button onClick={pomodoro.start} className="px-3 py-1 rounded bg-blue-600 text-white">{timer.status === "paused" ? "Resume" : "Start"}</button>
+        )}
+        <button onClick={pomodoro.skip} className="px-3 py-1 rounded bg-gray-200">Skip</button>
+        <button onClick={pomodoro.reset} className="px-3 py-1 rounded bg-gray-200">Reset</button>
+      </div>
+
+      <div className="mt-3 text-sm">
+        <label className="block text-xs">Tag for this session (optional)</label>
+        <input value={timer.tag} onChange={(e) => pomodoro.setTag(e.target.value)} list="pomodoro-tags" placeholder="e.g. writing" className="mt-1 w-full p-2 border rounded" />
+        <datalist id="pomodoro-tags">
+          {tags.map((t) => (
+            <option key={t} value={t} />
+          ))}
+        </datalist>
+      </div>
+
+      <details className="mt-3 text-sm">
+        <summary className="cursor-pointer">Settings</summary>
+        <div className="mt-2 grid grid-cols-2 gap-2">
+          {NUMBER_FIELDS.map(([key, label, min, max]) => (
+            <label key={key} className="text-xs">
+              {label}
+              <input
+                type="number"
+                min={min}
+                max={max}
+                value={settings[key]}
+                onChange={(e) => setSetting(key, Math.min(max, Math.max(min, Number(e.target.value) || min)))}
+                className="mt-1 w-full p-1 border rounded"
+              />
+            </label>
+          ))}
+          <label className="flex items-center gap-2 text-xs">
+            <input type="checkbox" checked={settings.autoStartBreaks} onChange={(e) => setSetting("autoStartBreaks", e.target.checked)} />
+            Start breaks automatically
+          </label>
+          <label className="flex items-center gap-2 text-xs">
+            <input type="checkbox" checked={settings.autoStartWork} onChange={(e) => setSetting("autoStartWork", e.target.checked)} />
+            Start focus automatically
+          </label>
+        </div>
+        <p className="mt-1 text-xs text-gray-500">A phase that is already under way keeps its length; new durations apply from the next one.</p>
+      </details>
+
+      <div className="mt-4">
+        <h4 className="text-sm font-medium">Today: {todaySessions.length} session{todaySessions.length === 1 ? "" : "s"}, {todayMinutes} min</h4>
+        <p className="text-xs text-gray-500">Finished focus sessions are added to the day's focused minutes.</p>
+        {sessions.length > 0 && (
+          <ul className="mt-2 space-y-1 text-xs">
+            {sessions.slice(-10).reverse().map((s) => (
+              <li key={s.id} className="flex justify-between gap-2">
+                <span>
+                  {s.date} {new Date(s.startedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}–{new Date(s.endedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                  {s.tag && <span className="ml-1 px-1 rounded bg-gray-100">{s.tag}</span>}
+                </span>
+                <span>{s.minutes} min</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PomodoroPanel;
@@ -0,0 +1,42 @@
+import { useState } from "react";
+import { usePwa } from "../pwa";
+
+// Fixed bar at the bottom of the page: offline notice, "new version" reload
+// and the install offer. Renders nothing when there is nothing to say.
+function PwaBanner() {
+  const { online, canInstall, install, updateReady, applyUpdate } = usePwa();
+  const [installDismissed, setInstallDismissed] = useState(() => localStorage.getItem("dpt_install_dismissed") === "1");
+
+  function dismissInstall() {
+    localStorage.setItem("dpt_install_dismissed", "1");
+    setInstallDismissed(true);
+  }
+
+  const showInstall = canInstall && !installDismissed;
+  if (online && !updateReady && !showInstall) return null;
+
+  return (
+    <div role="status" className="fixed bottom-4 inset-x-4 z-50 mx-auto max-w-xl space-y-2 text-sm">
+      {!online && (
+        <div className="p-3 rounded-lg shadow bg-gray-800 text-white">
+          You're offline. The tracker keeps working and saves changes on this device.
+        </div>
+      )}
+      {updateReady && (
+        <div className="p-3 rounded-lg shadow bg-blue-600 text-white flex items-center gap-2">
+          <span className="flex-1">A new version of the tracker is available.</span>
+          <button onClick={applyUpdate} className="px-3 py-1 rounded bg-white text-blue-700">Reload</button>
+        </div>
+      )}
+      {showInstall && (
+        <div className="p-3 rounded-lg shadow bg-white flex items-center gap-2">
+          <span className="flex-1">Install the tracker to open it like an app and use it offline.</span>
+          <button onClick={install} className="px-3 py-1 rounded bg-green-600 text-white">Install</button>
+          <button onClick={dismissInstall} className="px-3 py-1 rounded bg-gray-200">Not now</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PwaBanner;
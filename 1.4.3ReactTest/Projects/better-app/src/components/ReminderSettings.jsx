@@ -0,0 +1,89 @@
+import { REMINDER_KINDS, WEEKDAY_NAMES, newReminder, nextOccurrence } from "../reminders";
+
+// Reminder list (kind, time, weekdays), snooze length and quiet hours.
+function ReminderSettings({ settings, onChange, reminders }) {
+  const set = (fields) => onChange({ ...settings, ...fields });
+  const setReminder = (id, fields) => set({ reminders: settings.reminders.map((r) => (r.id === id ? { ...r, ...fields } : r)) });
+  const toggleDay = (r, day) => setReminder(r.id, { days: r.days.includes(day) ? r.days.filter((d) => d !== day) : [...r.days, day].sort() });
+
+  async function toggleEnabled(enabled) {
+    if (enabled && reminders.permission !== "granted" && (await reminders.requestPermission()) !== "granted") return;
+    set({ enabled });
+  }
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow">
+      <h3 className="font-semibold">Reminders</h3>
+      {!reminders.supported ? (
+        <p className="mt-2 text-sm text-gray-500">This browser does not support notifications from a service worker.</p>
+      ) : (
+        <>
+          <label className="mt-2 flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={settings.enabled} onChange={(e) => toggleEnabled(e.target.checked)} />
+            Enable reminders
+          </label>
+          {reminders.permission === "denied" && (
+            <p className="mt-1 text-xs text-red-600">Notifications are blocked for this site. Allow them in the browser's site settings.</p>
+          )}
+          {reminders.error && <p className="mt-1 text-xs text-red-600">{reminders.error}</p>}
+
+          <ul className="mt-3 space-y-2">
+            {settings.reminders.map((r) => {
+              const next = settings.enabled && r.enabled ? nextOccurrence(r) : null;
+              return (
+                <li key={r.id} className="p-2 border rounded text-sm">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input type="checkbox" checked={r.enabled} onChange={(e) => setReminder(r.id, { enabled: e.target.checked })} aria-label="Reminder on" />
+                    <select value={r.kind} onChange={(e) => setReminder(r.id, { kind: e.target.value })} className="p-1 border rounded">
+                      {Object.entries(REMINDER_KINDS).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                    <input type="time" value={r.time} onChange={(e) => e.target.value && setReminder(r.id, { time: e.target.value })} className="p-1 border rounded" />
+                    <button onClick={() => set({ reminders: settings.reminders.filter((x) => x.id !== r.id) })} aria-label="Remove reminder" className="ml-auto text-xs text-gray-500">✕</button>
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-1">
+                    {WEEKDAY_NAMES.map((name, day) => (
+                      <button
+                        key={name}
+                        onClick={() => toggleDay(r, day)}
+                        aria-pressed={r.days.includes(day)}
+                        className={`px-2 py-0.5 rounded text-xs border ${r.days.includes(day) ? "bg-blue-600 text-white" : ""}`}
+                      >
+                        {name}
+                      </button>
+                    ))}
+                  </div>
+                  {next && <div className="mt-1 text-xs text-gray-500">Next: {next.toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" })}</div>}
+                </li>
+              );
+            })}
+          </ul>
+          <button onClick={() => set({ reminders: [...settings.reminders, newReminder()] })} className="mt-2 px-3 py-1 rounded bg-gray-200 text-sm">Add reminder</button>
+
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+            <label className="flex items-center gap-2">
+              Snooze for
+              <input type="number" min={5} max={240} value={settings.snoozeMinutes} onChange={(e) => set({ snoozeMinutes: Math.max(5, Number(e.target.value) || 30) })} className="w-20 p-1 border rounded" />
+              minutes
+            </label>
+            <div className="flex flex-wrap items-center gap-2">
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={settings.quietHours.enabled} onChange={(e) => set({ quietHours: { ...settings.quietHours, enabled: e.target.checked } })} />
+                Quiet hours
+              </label>
+              <input type="time" value={settings.quietHours.start} onChange={(e) => e.target.value && set({ quietHours: { ...settings.quietHours, start: e.target.value } })} className="p-1 border rounded" />
+              –
+              <input type="time" value={settings.quietHours.end} onChange={(e) => e.target.value && set({ quietHours: { ...settings.quietHours, end: e.target.value } })} className="p-1 border rounded" />
+            </div>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">
+            Reminders are checked every minute while the app is open, including in a background tab. An installed app may also be woken up by the browser while closed. Reminders that fall in quiet hours are held until they end, up to three hours late.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ReminderSettings;
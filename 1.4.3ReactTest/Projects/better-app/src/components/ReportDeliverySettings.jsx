@@ -0,0 +1,67 @@
+import { DELIVERY_SCHEDULES, TRANSPORTS } from "../reportDelivery";
+
+// Recipient, transport and schedule for emailed reports, with a "send now"
+// button and the outcome of the last attempt.
+function ReportDeliverySettings({ settings, onChange, onSendNow, status, outbox }) {
+  const set = (fields) => onChange({ ...settings, ...fields });
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow">
+      <h3 className="font-semibold">Report emails</h3>
+      <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+        <div>
+          <label className="block text-xs">Send to</label>
+          <input type="email" value={settings.to} onChange={(e) => set({ to: e.target.value })} placeholder="you@example.com" className="mt-1 w-full p-2 border rounded" />
+        </div>
+        <div>
+          <label className="block text-xs">Automatic sending</label>
+          <select value={settings.schedule} onChange={(e) => set({ schedule: e.target.value })} className="mt-1 w-full p-2 border rounded">
+            {Object.entries(DELIVERY_SCHEDULES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs">Transport</label>
+          <select value={settings.transport} onChange={(e) => set({ transport: e.target.value })} className="mt-1 w-full p-2 border rounded">
+            {Object.entries(TRANSPORTS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {settings.transport === "http" && (
+          <div>
+            <label className="block text-xs">Relay endpoint</label>
+            <input value={settings.endpoint} onChange={(e) => set({ endpoint: e.target.value })} placeholder="https://…/send-report" className="mt-1 w-full p-2 border rounded" />
+          </div>
+        )}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button onClick={() => onSendNow("weekly")} disabled={status.sending} className="px-3 py-1 rounded bg-gray-200 disabled:opacity-50">Send weekly report now</button>
+        <button onClick={() => onSendNow("monthly")} disabled={status.sending} className="px-3 py-1 rounded bg-gray-200 disabled:opacity-50">Send monthly report now</button>
+        {status.sending && <span className="text-xs text-gray-500">Sending…</span>}
+      </div>
+      {status.error && <div className="mt-2 text-xs text-red-600">{status.error}</div>}
+      {settings.lastSent && (
+        <div className="mt-2 text-xs text-gray-500">
+          Last scheduled report: {settings.lastSent.period.from} – {settings.lastSent.period.to}, sent {new Date(settings.lastSent.at).toLocaleString()}
+        </div>
+      )}
+      <p className="mt-2 text-xs text-gray-500">Scheduled reports go out when the app is open on or after the first day of the next week or month.</p>
+
+      {settings.transport === "mock" && outbox.length > 0 && (
+        <details className="mt-3 text-xs">
+          <summary>Mock outbox ({outbox.length})</summary>
+          <ul className="mt-1 space-y-1">
+            {outbox.map((m) => (
+              <li key={m.id}>{new Date(m.at).toLocaleString()} → {m.to}: {m.subject}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default ReportDeliverySettings;
@@ -0,0 +1,119 @@
+import { useMemo, useState } from "react";
+import { ResponsiveContainer, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip } from "recharts";
+import { downloadFile } from "../csv";
+import { useChartTheme } from "../chartTheme";
+import { REPORT_PERIODS, buildReport, printReport, reportFilename, reportRange, reportToHTML, reportToMarkdown } from "../report";
+
+// Report page for a chosen period, with Markdown, HTML and print/PDF export.
+function ReportView({ entries, period, onPeriodChange }) {
+  const theme = useChartTheme();
+  const [custom, setCustom] = useState({ from: "", to: "" });
+  const report = useMemo(
+    () => buildReport(entries, reportRange(period, custom), `${REPORT_PERIODS[period]} report`),
+    [entries, period, custom]
+  );
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="font-semibold">{report.title}</h3>
+        <select value={period} onChange={(e) => onPeriodChange(e.target.value)} className="ml-auto p-1 border rounded text-sm">
+          {Object.entries(REPORT_PERIODS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {period === "custom" && (
+          <>
+            <input type="date" value={custom.from} onChange={(e) => setCustom({ ...custom, from: e.target.value })} className="p-1 border rounded text-sm" />
+            <input type="date" value={custom.to} onChange={(e) => setCustom({ ...custom, to: e.target.value })} className="p-1 border rounded text-sm" />
+          </>
+        )}
+      </div>
+      <div className="text-xs text-gray-500">
+        {report.range.from} – {report.range.to}, compared with {report.previousRange.from} – {report.previousRange.to}
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 md:grid-cols-3 gap-2">
+        {report.comparison.map((c) => (
+          <div key={c.label} className="p-2 border rounded">
+            <div className="text-xs text-gray-500">{c.label}</div>
+            <div className="text-lg font-semibold">{c.current === null ? "—" : `${c.current}${c.unit}`}</div>
+            <div className={`text-xs ${c.delta > 0 ? "text-green-700" : c.delta < 0 ? "text-red-600" : "text-gray-500"}`}>
+              {c.delta === null ? "no previous data" : `${c.delta > 0 ? "▲ +" : c.delta < 0 ? "▼ " : ""}${c.delta}${c.unit === "%" ? " pts" : c.unit} vs previous`}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div style={{ width: "100%", height: 180 }}>
+          <div className="text-sm font-medium">Completed tasks per day</div>
+          <ResponsiveContainer width="100%" height={160}>
+            <BarChart data={report.summary.trend}>
+              <CartesianGrid strokeDasharray="3 3" stroke={theme.grid} />
+              <XAxis dataKey="date" tickFormatter={(d) => d.slice(5)} minTickGap={12} stroke={theme.axis} />
+              <YAxis stroke={theme.axis} width={30} />
+              <Tooltip contentStyle={theme.tooltip} />
+              <Bar dataKey="completed" fill={theme.palette[0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ width: "100%", height: 180 }}>
+          <div className="text-sm font-medium">Mood</div>
+          <ResponsiveContainer width="100%" height={160}>
+            <LineChart data={report.summary.trend}>
+              <CartesianGrid strokeDasharray="3 3" stroke={theme.grid} />
+              <XAxis dataKey="date" tickFormatter={(d) => d.slice(5)} minTickGap={12} stroke={theme.axis} />
+              <YAxis domain={[1, 5]} stroke={theme.axis} width={30} />
+              <Tooltip contentStyle={theme.tooltip} />
+              <Line dataKey="mood" stroke={theme.palette[4]} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+        <div>
+          <div className="font-medium">Top tags</div>
+          {report.topTags.length === 0 ? <p className="text-gray-500">No tags.</p> : (
+            <ul className="mt-1 space-y-0.5">
+              {report.topTags.map((t) => <li key={t.name}>{t.name} • {t.value}</li>)}
+            </ul>
+          )}
+        </div>
+        <div>
+          <div className="font-medium text-green-700">Wins</div>
+          {report.wins.length === 0 ? <p className="text-gray-500">No wins recorded.</p> : (
+            <ul className="mt-1 space-y-1">
+              {report.wins.map((w) => <li key={w.date + w.text}><span className="text-xs text-gray-500">{w.date}</span> {w.text}</li>)}
+            </ul>
+          )}
+        </div>
+        <div>
+          <div className="font-medium text-red-600">Challenges</div>
+          {report.challenges.length === 0 ? <p className="text-gray-500">No challenges recorded.</p> : (
+            <ul className="mt-1 space-y-1">
+              {report.challenges.map((c) => <li key={c.date + c.text}><span className="text-xs text-gray-500">{c.date}</span> {c.text}</li>)}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {report.insights.length > 0 && (
+        <ul className="mt-4 space-y-1 text-sm">
+          {report.insights.map((i) => (
+            <li key={i.id}>{i.text} <span className="text-xs text-gray-500">({i.evidence})</span></li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button onClick={() => downloadFile(reportToMarkdown(report), reportFilename(report, "md"), "text/markdown;charset=utf-8;")} className="px-3 py-1 rounded bg-gray-200">Download Markdown</button>
+        <button onClick={() => downloadFile(reportToHTML(report), reportFilename(report, "html"), "text/html;charset=utf-8;")} className="px-3 py-1 rounded bg-gray-200">Download HTML</button>
+        <button onClick={() => printReport(report)} className="px-3 py-1 rounded bg-indigo-100">Print / save as PDF</button>
+      </div>
+    </div>
+  );
+}
+
+export default ReportView;
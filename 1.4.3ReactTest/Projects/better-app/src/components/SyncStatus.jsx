@@ -0,0 +1,23 @@
+// Small badge for the state returned by useHabitSync and useRecordSync.
+function SyncStatus({ sync }) {
+  const since = sync.lastSyncedAt ? new Date(sync.lastSyncedAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : null;
+  const waiting = sync.pending ? `${sync.pending} change${sync.pending === 1 ? "" : "s"} waiting` : null;
+  const unreadable = sync.result?.unreadable ? `${sync.result.unreadable} record${sync.result.unreadable === 1 ? "" : "s"} could not be decrypted` : null;
+
+  const states = {
+    off: ["bg-gray-100 text-gray-600", "Local only — sign in and choose cloud mode to sync"],
+    offline: ["bg-amber-100 text-amber-800", ["Offline", waiting, since && `last synced ${since}`].filter(Boolean).join(" • ")],
+    syncing: ["bg-blue-100 text-blue-800", "Syncing…"],
+    synced: [unreadable ? "bg-amber-100 text-amber-800" : "bg-green-100 text-green-800", [waiting || "Synced", unreadable, since].filter(Boolean).join(" • ")],
+    error: ["bg-red-100 text-red-800", `Sync failed: ${sync.error}`],
+  };
+  const [color, label] = states[sync.status] || states.off;
+
+  return (
+    <span role="status" className={`px-2 py-0.5 rounded text-xs ${color}`} title={sync.result ? `Last sync: ${sync.result.pushed} sent, ${sync.result.pulled} received` : undefined}>
+      {label}
+    </span>
+  );
+}
+
+export default SyncStatus;
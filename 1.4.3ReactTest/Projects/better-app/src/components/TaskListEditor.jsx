@@ -0,0 +1,84 @@
+import { useState } from "react";
+import { TASK_STATUSES, newTask } from "../tasks";
+
+// Ordered task list editor used inside the entry form.
+function TaskListEditor({ tasks, onChange }) {
+  const [title, setTitle] = useState("");
+
+  function update(id, fields) {
+    onChange(tasks.map((t) => (t.id === id ? { ...t, ...fields } : t)));
+  }
+
+  function move(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= tasks.length) return;
+    const next = [...tasks];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  }
+
+  function add() {
+    if (!title.trim()) return;
+    onChange([...tasks, newTask(title.trim())]);
+    setTitle("");
+  }
+
+  return (
+    <div>
+      {tasks.length > 0 && (
+        <ul className="space-y-1 mb-2">
+          {tasks.map((t, i) => (
+            <li key={t.id} className="flex flex-wrap gap-1 items-center text-sm">
+              <input
+                value={t.title}
+                onChange={(e) => update(t.id, { title: e.target.value })}
+                className={"flex-1 min-w-40 p-1 border rounded" + (t.status === "dropped" ? " line-through text-gray-400" : "")}
+              />
+              <select value={t.status} onChange={(e) => update(t.id, { status: e.target.value })} className="p-1 border rounded">
+                {Object.entries(TASK_STATUSES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                value={t.estimate ?? ""}
+                onChange={(e) => update(t.id, { estimate: e.target.value })}
+                type="number"
+                min={0}
+                placeholder="min"
+                title="Estimate (minutes)"
+                className="w-16 p-1 border rounded"
+              />
+              <input
+                value={t.tag}
+                onChange={(e) => update(t.id, { tag: e.target.value })}
+                placeholder="tag"
+                className="w-24 p-1 border rounded"
+              />
+              <button type="button" onClick={() => move(i, -1)} aria-label="Move up" className="px-2 py-1 border rounded">↑</button>
+              <button type="button" onClick={() => move(i, 1)} aria-label="Move down" className="px-2 py-1 border rounded">↓</button>
+              <button type="button" onClick={() => onChange(tasks.filter((x) => x.id !== t.id))} aria-label="Remove task" className="px-2 py-1 border rounded">✕</button>
+              {t.carriedFrom && <span className="text-xs text-gray-500">from {t.carriedFrom}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex gap-2">
+        <input
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              add();
+            }
+          }}
+          placeholder="Add a task and press Enter"
+          className="flex-1 p-2 border rounded text-sm"
+        />
+        <button type="button" onClick={add} className="px-3 py-1 rounded bg-gray-200 text-sm">Add task</button>
+      </div>
+    </div>
+  );
+}
+
+export default TaskListEditor;
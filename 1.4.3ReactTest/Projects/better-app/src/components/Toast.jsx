@@ -0,0 +1,31 @@
+import { useEffect } from "react";
+
+// Short-lived notification in the bottom corner with an optional action button.
+function Toast({ toast, onClose }) {
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(onClose, 5000);
+    return () => clearTimeout(timer);
+  }, [toast, onClose]);
+
+  if (!toast) return null;
+  return (
+    <div role="status" className="fixed bottom-4 right-4 z-50 flex items-center gap-3 px-4 py-2 rounded-lg shadow bg-gray-900 text-white text-sm">
+      <span>{toast.message}</span>
+      {toast.action && (
+        <button
+          onClick={() => {
+            toast.action.run();
+            onClose();
+          }}
+          className="px-2 py-1 rounded bg-white text-gray-900 text-xs"
+        >
+          {toast.action.label}
+        </button>
+      )}
+      <button onClick={onClose} aria-label="Dismiss" className="px-2 py-1 text-xs text-gray-300">✕</button>
+    </div>
+  );
+}
+
+export default Toast;
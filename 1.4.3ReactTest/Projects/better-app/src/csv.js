@@ -0,0 +1,190 @@
+// src/csv.js
+// Reading and writing journal entries as CSV.
+
+export const CSV_HEADER = [
+  "date",
+  "plannedTasks",
+  "completedTasks",
+  "tasksNotes",
+  "wins",
+  "challenges",
+  "mood",
+  "minutesFocused",
+  "tags",
+  "createdAt",
+];
+
+const NUMBER_FIELDS = ["plannedTasks", "completedTasks", "mood", "minutesFocused"];
+
+// Alternative column names recognised when guessing a mapping for foreign CSVs.
+const ALIASES = {
+  date: ["day", "entrydate"],
+  plannedTasks: ["planned", "plan", "tasksplanned"],
+  completedTasks: ["completed", "done", "tasksdone", "taskscompleted"],
+  tasksNotes: ["notes", "note", "tasks", "description"],
+  wins: ["win", "highlights"],
+  challenges: ["challenge", "blockers", "problems"],
+  mood: ["rating", "feeling"],
+  minutesFocused: ["minutes", "focus", "focusminutes", "focused"],
+  tags: ["tag", "labels", "categories"],
+  createdAt: ["created", "timestamp"],
+};
+
+export function toCSV(entries) {
+  const rows = entries.map((r) => [
+    r.date,
+    r.plannedTasks,
+    r.completedTasks,
+    quote(r.tasksNotes),
+    quote(r.wins),
+    quote(r.challenges),
+    r.mood,
+    r.minutesFocused,
+    quote((r.tags || []).join(", ")),
+    r.createdAt,
+  ]);
+  return [CSV_HEADER, ...rows].map((r) => r.join(",")).join("\n");
+}
+
+export function downloadCSV(csv, filename) {
+  downloadFile(csv, filename, "text/csv;charset=utf-8;");
+}
+
+// Save `text` as a file through a temporary link.
+export function downloadFile(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Parse CSV text into an array of string arrays. Handles quoted fields,
+// "" escapes, commas and line breaks inside quotes, and CRLF line endings.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+// Map each entry field to a column index (-1 when there is no match).
+export function guessMapping(header) {
+  const normalized = header.map(normalize);
+  const mapping = {};
+  CSV_HEADER.forEach((field) => {
+    const names = [normalize(field), ...(ALIASES[field] || [])];
+    mapping[field] = normalized.findIndex((h) => names.includes(h));
+  });
+  return mapping;
+}
+
+// Turn parsed rows into entries using `mapping`. Each result carries its
+// source line (counted from `firstLine`), the validation errors and whether it duplicates an entry that
+// is already in the journal (or an earlier row of the same file).
+export function buildImportPreview(rows, mapping, existing = [], firstLine = 1) {
+  const seen = new Set(existing.map(entrySignature));
+  const createdAts = new Set(existing.map((e) => `${e.date}|${e.createdAt}`));
+  const now = Date.now();
+
+  return rows.map((cells, index) => {
+    const errors = [];
+    const get = (field) => (mapping[field] >= 0 ? (cells[mapping[field]] ?? "").trim() : "");
+
+    const date = normalizeDate(get("date"));
+    if (!get("date")) errors.push("date is missing");
+    else if (!date) errors.push(`date "${get("date")}" is not a valid date`);
+
+    const numbers = {};
+    NUMBER_FIELDS.forEach((field) => {
+      const raw = get(field);
+      if (raw === "") return;
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) errors.push(`${field} "${raw}" is not a positive number`);
+      else numbers[field] = value;
+    });
+    if (numbers.mood !== undefined && (numbers.mood < 1 || numbers.mood > 5)) errors.push("mood must be between 1 and 5");
+
+    const createdAt = get("createdAt");
+    const entry = {
+      id: `${now}-${index}`,
+      date,
+      plannedTasks: numbers.plannedTasks || 0,
+      completedTasks: numbers.completedTasks || 0,
+      tasksNotes: get("tasksNotes"),
+      wins: get("wins"),
+      challenges: get("challenges"),
+      mood: numbers.mood || 3,
+      tags: get("tags")
+        .split(/[,;]/)
+        .map((t) => t.trim())
+        .filter(Boolean),
+      minutesFocused: numbers.minutesFocused || 0,
+      createdAt: createdAt && !isNaN(Date.parse(createdAt)) ? new Date(createdAt).toISOString() : new Date(now).toISOString(),
+    };
+
+    const signature = entrySignature(entry);
+    const duplicate = errors.length === 0 && (seen.has(signature) || (createdAt && createdAts.has(`${entry.date}|${entry.createdAt}`)));
+    if (errors.length === 0) {
+      seen.add(signature);
+      createdAts.add(`${entry.date}|${entry.createdAt}`);
+    }
+    return { line: firstLine + index, entry, errors, duplicate };
+  });
+}
+
+function quote(value) {
+  return `"${(value || "").replace(/"/g, '""')}"`;
+}
+
+function normalize(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Accepts YYYY-MM-DD or anything Date can parse; returns YYYY-MM-DD or "".
+function normalizeDate(raw) {
+  if (!raw) return "";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return isNaN(Date.parse(raw)) ? "" : raw;
+  const d = new Date(raw);
+  if (isNaN(d)) return "";
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function entrySignature(e) {
+  return [e.date, e.plannedTasks || 0, e.completedTasks || 0, e.tasksNotes || "", e.wins || "", e.challenges || ""].join("|");
+}
@@ -0,0 +1,37 @@
+// src/dashboard.js
+// Which dashboard widgets are shown, in what order. The layout is a list of
+// widget ids saved in localStorage under a key per user ("local" when signed
+// out), so people sharing a browser keep their own dashboards.
+
+const LAYOUT_KEY = "dpt_dashboard_layout";
+
+export const DEFAULT_LAYOUT = ["tags", "completed"];
+
+export function loadLayout(userId, known) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(layoutKey(userId)));
+    if (Array.isArray(saved)) return saved.filter((id, i) => known.includes(id) && saved.indexOf(id) === i);
+  } catch (e) {
+    console.error("failed to parse dashboard layout", e);
+  }
+  return DEFAULT_LAYOUT;
+}
+
+export function saveLayout(userId, layout) {
+  localStorage.setItem(layoutKey(userId), JSON.stringify(layout));
+}
+
+// Move the widget `id` by `delta` places (-1 up, +1 down).
+export function moveWidget(layout, id, delta) {
+  const from = layout.indexOf(id);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= layout.length) return layout;
+  const next = [...layout];
+  next.splice(from, 1);
+  next.splice(to, 0, id);
+  return next;
+}
+
+function layoutKey(userId) {
+  return `${LAYOUT_KEY}:${userId || "local"}`;
+}
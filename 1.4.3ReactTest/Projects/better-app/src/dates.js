@@ -0,0 +1,47 @@
+// src/dates.js
+// Calendar dates as "YYYY-MM-DD" strings in the user's local time zone.
+// `toISOString()` is UTC, so it gives tomorrow's date for evening entries
+// west of Greenwich; use these helpers for anything that means "a day".
+
+export function toLocalDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function localToday() {
+  return toLocalDate(new Date());
+}
+
+// Local midnight of a "YYYY-MM-DD" string (`new Date(str)` would be UTC).
+export function parseLocalDate(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(date, n) {
+  const d = parseLocalDate(date);
+  return toLocalDate(new Date(d.getFullYear(), d.getMonth(), d.getDate() + n));
+}
+
+// Every date from `from` to `to`, inclusive.
+export function eachDay(from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) days.push(date);
+  return days;
+}
+
+export function isValidDate(date) {
+  return typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date) && toLocalDate(parseLocalDate(date)) === date;
+}
+
+// The calendar week (Monday first) or month containing `date`.
+export function periodRange(period, date) {
+  const d = parseLocalDate(date);
+  if (period === "month") {
+    return {
+      from: toLocalDate(new Date(d.getFullYear(), d.getMonth(), 1)),
+      to: toLocalDate(new Date(d.getFullYear(), d.getMonth() + 1, 0)),
+    };
+  }
+  const from = addDays(date, -((d.getDay() + 6) % 7));
+  return { from, to: addDays(from, 6) };
+}
@@ -0,0 +1,88 @@
+// src/duplicates.js
+// Helpers for keeping one journal entry per date.
+
+export const DUPLICATE_POLICIES = {
+  merge: "Merge",
+  replace: "Replace",
+  keep: "Keep both",
+};
+
+// Combine two entries for the same date: tasks and minutes are summed, notes
+// concatenated and tags unioned. The older entry keeps its id and createdAt.
+export function mergeEntries(base, incoming) {
+  const moods = [base.mood, incoming.mood].filter((m) => Number(m) > 0);
+  return {
+    ...base,
+    plannedTasks: (base.plannedTasks || 0) + (incoming.plannedTasks || 0),
+    completedTasks: (base.completedTasks || 0) + (incoming.completedTasks || 0),
+    minutesFocused: (base.minutesFocused || 0) + (incoming.minutesFocused || 0),
+    tasksNotes: joinText(base.tasksNotes, incoming.tasksNotes),
+    wins: joinText(base.wins, incoming.wins),
+    challenges: joinText(base.challenges, incoming.challenges),
+    mood: moods.length ? Math.round(moods.reduce((s, m) => s + Number(m), 0) / moods.length) : 3,
+    tags: [...new Set([...(base.tags || []), ...(incoming.tags || [])])],
+    tasks: [...(base.tasks || []), ...(incoming.tasks || [])],
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// Add `incoming` to `entries` following the chosen policy for its date.
+// Entries in the trash are ignored.
+export function applyDuplicatePolicy(entries, incoming, policy) {
+  const isSameDate = (e) => e.date === incoming.date && !e.deletedAt;
+  const existing = entries.find(isSameDate);
+  if (!existing || policy === "keep") return [incoming, ...entries];
+
+  const sameDate = entries.filter(isSameDate);
+  const saved =
+    policy === "replace"
+      ? { ...incoming, id: existing.id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() }
+      : mergeEntries(sameDate.slice(1).reduce((acc, e) => mergeEntries(acc, e), existing), incoming);
+  return entries.flatMap((e) => {
+    if (!isSameDate(e)) return [e];
+    return e === existing ? [saved] : [];
+  });
+}
+
+// Dates that have more than one (non-trashed) entry, oldest first in each group.
+export function findDuplicateGroups(entries) {
+  const byDate = {};
+  entries.filter((e) => !e.deletedAt).forEach((e) => (byDate[e.date] = [...(byDate[e.date] || []), e]));
+  return Object.entries(byDate)
+    .filter(([, group]) => group.length > 1)
+    .map(([date, group]) => ({ date, entries: [...group].sort(byCreatedAt) }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Collapse every duplicate date into one entry. "merge" folds the group into
+// the oldest entry; "replace" keeps only the most recently written one.
+export function resolveDuplicates(entries, policy) {
+  if (policy === "keep") return entries;
+  const resolved = {};
+  findDuplicateGroups(entries).forEach(({ date, entries: group }) => {
+    resolved[date] =
+      policy === "merge"
+        ? group.slice(1).reduce((acc, e) => mergeEntries(acc, e), group[0])
+        : [...group].sort((a, b) => lastWritten(b).localeCompare(lastWritten(a)))[0];
+  });
+
+  const seen = new Set();
+  return entries.flatMap((e) => {
+    if (!resolved[e.date] || e.deletedAt) return [e];
+    if (seen.has(e.date)) return [];
+    seen.add(e.date);
+    return [resolved[e.date]];
+  });
+}
+
+function joinText(a, b) {
+  return [a, b].filter((t) => t && t.trim()).join("\n");
+}
+
+function byCreatedAt(a, b) {
+  return (a.createdAt || "").localeCompare(b.createdAt || "");
+}
+
+function lastWritten(entry) {
+  return entry.updatedAt || entry.createdAt || "";
+}
@@ -0,0 +1,263 @@
+// src/envelope.js
+// Encryption envelopes for backups and synced records.
+//
+// v1 (legacy): base64(iv ‖ AES-GCM ciphertext) with the key derived by
+//   PBKDF2-SHA-256(passphrase, salt = user id or "public-salt", 200000).
+//   Nothing about the key is stored, and a wrong passphrase is
+//   indistinguishable from damaged data.
+// v2: JSON
+//   { v: 2, alg: "AES-GCM-256", keyId, iv, data, slots: [slot, ...] }
+//   `data` is encrypted with a random content key; each slot holds that key
+//   wrapped by a key derived from one secret, plus everything needed to derive
+//   it again:
+//   { type: "passphrase", kdf: { name: "PBKDF2", hash, iterations, salt }, check, iv, key }
+//   { type: "recovery",   kdf: { name: "HKDF", hash, salt, info },         check, iv, key }
+//   The derivation yields 512 bits: the first half is the wrapping key, a hash
+//   of the second half is the key check value `check`. A secret whose check
+//   value differs is wrong (WrongPassphraseError); a check that matches
+//   followed by a failed decryption means the data is damaged
+//   (DamagedDataError).
+//
+// A keyring is one content key with its slots. Everything sealed with it
+// carries the same slots, so any copy can be opened with the passphrase or
+// the recovery key. Changing the passphrase makes a new keyring (and recovery
+// key) and the data is re-encrypted with it.
+
+export const ENVELOPE_VERSION = 2;
+export const ENVELOPE_VERSIONS = [1, 2];
+
+const ALGORITHM = "AES-GCM-256";
+const PBKDF2_ITERATIONS = 600000;
+const LEGACY_ITERATIONS = 200000;
+const LEGACY_SALT = "public-salt";
+const RECOVERY_INFO = "dpt recovery key";
+const RECOVERY_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ"; // Crockford base32
+const RECOVERY_LENGTH = 32; // 160 bits
+const KEYRING_KEY = "dpt_keyring";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+export class WrongPassphraseError extends Error {
+  constructor(message = "Wrong passphrase.") {
+    super(message);
+    this.name = "WrongPassphraseError";
+  }
+}
+
+export class DamagedDataError extends Error {
+  constructor(message = "The encrypted data is damaged and cannot be read.") {
+    super(message);
+    this.name = "DamagedDataError";
+  }
+}
+
+/* ----------------- encoding ----------------- */
+
+function toBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function randomBytes(n) {
+  return crypto.getRandomValues(new Uint8Array(n));
+}
+
+/* ----------------- recovery keys ----------------- */
+
+// "XXXX-XXXX-…", 8 groups of Crockford base32.
+export function generateRecoveryKey() {
+  const chars = Array.from(randomBytes(RECOVERY_LENGTH), (b) => RECOVERY_ALPHABET[b & 31]).join("");
+  return chars.match(/.{4}/g).join("-");
+}
+
+// Accepts the key as typed: any case, with or without dashes or spaces, and
+// the usual look-alikes (O for 0, I or L for 1).
+export function normalizeRecoveryKey(text) {
+  const chars = String(text || "")
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+  if (chars.length !== RECOVERY_LENGTH || [...chars].some((c) => !RECOVERY_ALPHABET.includes(c))) {
+    throw new WrongPassphraseError("That is not a valid recovery key.");
+  }
+  return chars.match(/.{4}/g).join("-");
+}
+
+/* ----------------- key derivation ----------------- */
+
+async function deriveSlotKey(secret, kdf) {
+  let bits;
+  if (kdf.name === "PBKDF2") {
+    const material = await crypto.subtle.importKey("raw", enc.encode(secret), "PBKDF2", false, ["deriveBits"]);
+    bits = await crypto.subtle.deriveBits({ name: "PBKDF2", salt: fromBase64(kdf.salt), iterations: kdf.iterations, hash: kdf.hash }, material, 512);
+  } else if (kdf.name === "HKDF") {
+    const material = await crypto.subtle.importKey("raw", enc.encode(normalizeRecoveryKey(secret)), "HKDF", false, ["deriveBits"]);
+    bits = await crypto.subtle.deriveBits({ name: "HKDF", salt: fromBase64(kdf.salt), info: enc.encode(kdf.info), hash: kdf.hash }, material, 512);
+  } else {
+    throw new DamagedDataError(`Unknown key derivation "${kdf.name}".`);
+  }
+  bits = new Uint8Array(bits);
+  const key = await crypto.subtle.importKey("raw", bits.slice(0, 32), "AES-GCM", false, ["encrypt", "decrypt"]);
+  const check = toBase64(new Uint8Array(await crypto.subtle.digest("SHA-256", bits.slice(32))).slice(0, 8));
+  return { key, check };
+}
+
+async function makeSlot(type, secret, contentKey) {
+  const kdf =
+    type === "recovery"
+      ? { name: "HKDF", hash: "SHA-256", salt: toBase64(randomBytes(16)), info: RECOVERY_INFO }
+      : { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: toBase64(randomBytes(16)) };
+  const { key, check } = await deriveSlotKey(secret, kdf);
+  const iv = randomBytes(12);
+  const wrapped = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, contentKey));
+  return { type, kdf, check, iv: toBase64(iv), key: toBase64(wrapped) };
+}
+
+async function keyIdOf(contentKey) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new Uint8Array([...enc.encode("dpt key id"), ...contentKey])));
+  return toBase64(digest.slice(0, 9));
+}
+
+// Opens the slot for `secret` ({ type: "passphrase" | "recovery", value }).
+async function openSlots(slots, secret) {
+  const slot = (slots || []).find((s) => s.type === secret.type);
+  if (!slot) throw new WrongPassphraseError(secret.type === "recovery" ? "This data has no recovery key." : "This data has no passphrase.");
+  const { key, check } = await deriveSlotKey(secret.value, slot.kdf);
+  if (check !== slot.check) throw new WrongPassphraseError(secret.type === "recovery" ? "Wrong recovery key." : "Wrong passphrase.");
+  try {
+    const raw = new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(slot.iv) }, key, fromBase64(slot.key)));
+    return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+  } catch {
+    throw new DamagedDataError("The key stored with the data is damaged.");
+  }
+}
+
+/* ----------------- keyrings ----------------- */
+
+// A new content key protected by `passphrase` and a fresh recovery key.
+// Returns { keyring, recoveryKey }; show the recovery key to the user once.
+export async function createKeyring(passphrase) {
+  const recoveryKey = generateRecoveryKey();
+  const raw = randomBytes(32);
+  const slots = [await makeSlot("passphrase", passphrase, raw), await makeSlot("recovery", recoveryKey, raw)];
+  const key = await crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+  const keyring = { keyId: await keyIdOf(raw), key, slots, secret: { type: "passphrase", value: passphrase }, opened: new Map() };
+  return { keyring, recoveryKey };
+}
+
+// Opens the keyring described by `source` (saved keyring info or any v2
+// envelope) with a passphrase or recovery key. Throws WrongPassphraseError.
+export async function unlockKeyring(source, secret) {
+  const info = typeof source === "string" ? parseEnvelope(source) : source;
+  if (!info?.slots) throw new DamagedDataError("No key information found.");
+  const key = await openSlots(info.slots, secret);
+  return { keyId: info.keyId, key, slots: info.slots, secret, opened: new Map() };
+}
+
+// What is saved to find the keyring again: no secrets, only wrapped keys.
+export function keyringInfo(keyring) {
+  return { v: ENVELOPE_VERSION, keyId: keyring.keyId, slots: keyring.slots };
+}
+
+export function loadKeyringInfo(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(`${KEYRING_KEY}:${userId || "local"}`) || "null");
+  } catch (e) {
+    console.error("failed to parse keyring", e);
+    return null;
+  }
+}
+
+export function saveKeyringInfo(userId, keyring) {
+  if (keyring) localStorage.setItem(`${KEYRING_KEY}:${userId || "local"}`, JSON.stringify(keyringInfo(keyring)));
+  else localStorage.removeItem(`${KEYRING_KEY}:${userId || "local"}`);
+}
+
+/* ----------------- envelopes ----------------- */
+
+// 1 for legacy base64 data, otherwise the `v` of the JSON envelope.
+export function envelopeVersion(text) {
+  if (typeof text !== "string" || !text) return null;
+  return text.trimStart().startsWith("{") ? parseEnvelope(text).v : 1;
+}
+
+function parseEnvelope(text) {
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch {
+    throw new DamagedDataError();
+  }
+  if (!envelope || typeof envelope !== "object") throw new DamagedDataError();
+  if (!ENVELOPE_VERSIONS.includes(envelope.v)) throw new DamagedDataError(`Unsupported envelope version ${envelope.v}; update the app to read it.`);
+  return envelope;
+}
+
+export async function sealEnvelope(keyring, plaintext) {
+  const iv = randomBytes(12);
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, keyring.key, enc.encode(plaintext)));
+  return JSON.stringify({ v: ENVELOPE_VERSION, alg: ALGORITHM, keyId: keyring.keyId, slots: keyring.slots, iv: toBase64(iv), data: toBase64(data) });
+}
+
+// Decrypts any envelope version with the keyring's content key or, for data
+// sealed with another keyring, the secret the keyring was unlocked with.
+// `legacySalt` is the salt v1 data was made with (the user id when signed in).
+export async function openEnvelope(keyring, text, { legacySalt } = {}) {
+  if (envelopeVersion(text) === 1) return openLegacy(keyring, text, legacySalt || LEGACY_SALT);
+
+  const envelope = parseEnvelope(text);
+  if (envelope.alg !== ALGORITHM) throw new DamagedDataError(`Unsupported algorithm "${envelope.alg}".`);
+  let key = envelope.keyId === keyring.keyId ? keyring.key : keyring.opened.get(envelope.keyId);
+  if (!key) {
+    key = await openSlots(envelope.slots, keyring.secret);
+    keyring.opened.set(envelope.keyId, key);
+  }
+  try {
+    return dec.decode(await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data)));
+  } catch {
+    throw new DamagedDataError();
+  }
+}
+
+async function openLegacy(keyring, text, salt) {
+  if (keyring.secret.type !== "passphrase") throw new WrongPassphraseError("Data saved by older versions can only be opened with the passphrase.");
+  const cacheKey = `v1:${salt}`;
+  let key = keyring.opened.get(cacheKey);
+  if (!key) {
+    const material = await crypto.subtle.importKey("raw", enc.encode(keyring.secret.value), "PBKDF2", false, ["deriveKey"]);
+    key = await crypto.subtle.deriveKey({ name: "PBKDF2", salt: enc.encode(salt), iterations: LEGACY_ITERATIONS, hash: "SHA-256" }, material, { name: "AES-GCM", length: 256 }, false, ["decrypt"]);
+    keyring.opened.set(cacheKey, key);
+  }
+  let raw;
+  try {
+    raw = fromBase64(text.trim());
+  } catch {
+    throw new DamagedDataError();
+  }
+  try {
+    return dec.decode(await crypto.subtle.decrypt({ name: "AES-GCM", iv: raw.slice(0, 12) }, key, raw.slice(12)));
+  } catch {
+    // v1 has no key check value, so this is the most likely cause but not certain.
+    throw new WrongPassphraseError("Wrong passphrase (or the backup is damaged; older backups cannot tell the two apart).");
+  }
+}
+
+// Opens `text` with one keyring and seals it with another.
+export async function reencrypt(from, to, text, options) {
+  return sealEnvelope(to, await openEnvelope(from, text, options));
+}
+
+// { encrypt, decrypt } for recordSync.js.
+export function envelopeCipher(keyring, options) {
+  return {
+    encrypt: (text) => sealEnvelope(keyring, text),
+    decrypt: (text) => openEnvelope(keyring, text, options),
+  };
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { DamagedDataError, WrongPassphraseError, createKeyring, envelopeVersion, keyringInfo, openEnvelope, reencrypt, sealEnvelope, unlockKeyring } from "./envelope";
+
+const passphrase = (value) => ({ type: "passphrase", value });
+
+// Data as the app wrote it before envelopes: base64(iv ‖ ciphertext), keyed
+// by PBKDF2 over the passphrase with the user id as salt.
+async function sealLegacy(secret, salt, text) {
+  const enc = new TextEncoder();
+  const material = await crypto.subtle.importKey("raw", enc.encode(secret), "PBKDF2", false, ["deriveKey"]);
+  const key = await crypto.subtle.deriveKey({ name: "PBKDF2", salt: enc.encode(salt), iterations: 200000, hash: "SHA-256" }, material, { name: "AES-GCM", length: 256 }, false, ["encrypt"]);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, enc.encode(text)));
+  return btoa(String.fromCharCode(...iv, ...data));
+}
+
+// Flips one character of the encrypted data, keeping it valid base64.
+function tamper(text) {
+  const envelope = JSON.parse(text);
+  const i = Math.floor(envelope.data.length / 2);
+  envelope.data = envelope.data.slice(0, i) + (envelope.data[i] === "A" ? "B" : "A") + envelope.data.slice(i + 1);
+  return JSON.stringify(envelope);
+}
+
+describe("envelopes", () => {
+  it("seals and opens v2 data", async () => {
+    const { keyring } = await createKeyring("correct horse");
+    const sealed = await sealEnvelope(keyring, '{"entries":[]}');
+    expect(envelopeVersion(sealed)).toBe(2);
+    expect(sealed).not.toContain("entries");
+    expect(await openEnvelope(keyring, sealed)).toBe('{"entries":[]}');
+
+    // Another device unlocks it from the envelope alone.
+    const unlocked = await unlockKeyring(sealed, passphrase("correct horse"));
+    expect(await openEnvelope(unlocked, sealed)).toBe('{"entries":[]}');
+  });
+
+  it("opens legacy v1 data with the passphrase and salt it was made with", async () => {
+    const legacy = await sealLegacy("correct horse", "user-1", "old backup");
+    expect(envelopeVersion(legacy)).toBe(1);
+    const { keyring } = await createKeyring("correct horse");
+    expect(await openEnvelope(keyring, legacy, { legacySalt: "user-1" })).toBe("old backup");
+    await expect(openEnvelope(keyring, legacy)).rejects.toThrow(WrongPassphraseError);
+  });
+
+  it("reports a wrong passphrase as such", async () => {
+    const { keyring } = await createKeyring("correct horse");
+    const sealed = await sealEnvelope(keyring, "secret");
+    await expect(unlockKeyring(sealed, passphrase("battery staple"))).rejects.toThrow(WrongPassphraseError);
+    await expect(unlockKeyring(keyringInfo(keyring), passphrase("battery staple"))).rejects.toThrow(WrongPassphraseError);
+  });
+
+  it("reports tampered data as damaged", async () => {
+    const { keyring } = await createKeyring("correct horse");
+    const sealed = await sealEnvelope(keyring, "secret");
+    await expect(openEnvelope(keyring, tamper(sealed))).rejects.toThrow(DamagedDataError);
+    await expect(openEnvelope(keyring, "{not json")).rejects.toThrow(DamagedDataError);
+  });
+
+  it("unlocks with the recovery key", async () => {
+    const { keyring, recoveryKey } = await createKeyring("correct horse");
+    const sealed = await sealEnvelope(keyring, "secret");
+    // Typed loosely: lower case, no dashes.
+    const recovered = await unlockKeyring(keyringInfo(keyring), { type: "recovery", value: recoveryKey.toLowerCase().replace(/-/g, "") });
+    expect(await openEnvelope(recovered, sealed)).toBe("secret");
+
+    const other = (await createKeyring("correct horse")).recoveryKey;
+    await expect(unlockKeyring(sealed, { type: "recovery", value: other })).rejects.toThrow(WrongPassphraseError);
+  });
+
+  it("re-encrypts data for a new passphrase", async () => {
+    const { keyring: before } = await createKeyring("correct horse");
+    const sealed = await sealEnvelope(before, "secret");
+    const legacy = await sealLegacy("correct horse", "user-1", "old backup");
+    const { keyring: after } = await createKeyring("battery staple");
+
+    const moved = await reencrypt(before, after, sealed);
+    const movedLegacy = await reencrypt(before, after, legacy, { legacySalt: "user-1" });
+    expect(JSON.parse(moved).keyId).toBe(after.keyId);
+
+    const unlocked = await unlockKeyring(moved, passphrase("battery staple"));
+    expect(await openEnvelope(unlocked, moved)).toBe("secret");
+    expect(await openEnvelope(unlocked, movedLegacy)).toBe("old backup");
+    await expect(unlockKeyring(moved, passphrase("correct horse"))).rejects.toThrow(WrongPassphraseError);
+  });
+});
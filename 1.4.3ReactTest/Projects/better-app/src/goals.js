@@ -0,0 +1,99 @@
+// src/goals.js
+// User-defined targets such as "≥ 600 focus minutes per week", optionally
+// limited to entries with one tag. Each goal is measured per calendar week
+// (Monday first) or month, with a forecast for the current period and the
+// results of past ones.
+
+import { dailySeries } from "./analytics";
+import { addDays, eachDay, localToday, periodRange } from "./dates";
+
+export const GOAL_METRICS = {
+  focus: { label: "focus minutes", total: true, value: (days) => sumOf(days, "minutes") },
+  completed: { label: "completed tasks", total: true, value: (days) => sumOf(days, "completed") },
+  days: { label: "days logged", total: true, value: (days) => days.filter((d) => d.entries > 0).length },
+  mood: {
+    label: "average mood",
+    total: false,
+    value: (days) => {
+      const moods = days.map((d) => d.mood).filter((m) => m !== null);
+      return moods.length ? moods.reduce((s, m) => s + m, 0) / moods.length : null;
+    },
+  },
+  rate: {
+    label: "success rate %",
+    total: false,
+    value: (days) => {
+      const planned = sumOf(days, "planned");
+      return planned ? (sumOf(days, "completed") / planned) * 100 : null;
+    },
+  },
+};
+
+export const GOAL_PERIODS = { week: "per week", month: "per month" };
+
+const HISTORY_PERIODS = 6;
+
+export function newGoal({ metric, comparator, target, period, tag }) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    metric,
+    comparator: comparator === "<=" ? "<=" : ">=",
+    target: Number(target),
+    period,
+    tag: (tag || "").trim(),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// e.g. "≥ 600 focus minutes per week #coding"
+export function describeGoal(goal) {
+  const tag = goal.tag ? ` #${goal.tag}` : "";
+  return `${goal.comparator === "<=" ? "≤" : "≥"} ${goal.target} ${GOAL_METRICS[goal.metric].label} ${GOAL_PERIODS[goal.period]}${tag}`;
+}
+
+// Progress in the current period and the outcome of recent past periods:
+// { current: { range, value, progress, forecast, onTrack, met }, history }.
+// `progress` is value / target (0–1+); `forecast` extrapolates totals at the
+// current daily pace, while averages are forecast as they stand.
+export function evaluateGoal(goal, entries, today = localToday()) {
+  const metric = GOAL_METRICS[goal.metric];
+  const scoped = goal.tag ? entries.filter((e) => (e.tags || []).includes(goal.tag)) : entries;
+  const hits = (value) => value !== null && (goal.comparator === "<=" ? value <= goal.target : value >= goal.target);
+
+  const range = periodRange(goal.period, today);
+  const days = dailySeries(scoped, { from: range.from, to: today });
+  const value = metric.value(days);
+  const length = eachDay(range.from, range.to).length;
+  const forecast = metric.total && value !== null ? (value / days.length) * length : value;
+  const current = {
+    range,
+    value: round(value),
+    progress: value === null || !goal.target ? 0 : value / goal.target,
+    forecast: round(forecast),
+    onTrack: hits(forecast),
+    // A "≥" total already reached stays met; everything else is settled
+    // only when the period ends.
+    met: metric.total && goal.comparator === ">=" && hits(value) ? true : null,
+  };
+
+  // Periods from before the journal started are shown as "no data".
+  const started = entries.reduce((min, e) => (e.date < min ? e.date : min), today);
+  const history = [];
+  let cursor = addDays(range.from, -1);
+  for (let i = 0; i < HISTORY_PERIODS; i++) {
+    const past = periodRange(goal.period, cursor);
+    const pastValue = metric.value(dailySeries(scoped, past));
+    const met = pastValue === null || past.to < started ? null : hits(pastValue);
+    history.push({ range: past, value: round(pastValue), met });
+    cursor = addDays(past.from, -1);
+  }
+  return { current, history: history.reverse() };
+}
+
+function sumOf(days, key) {
+  return days.reduce((s, d) => s + (d[key] || 0), 0);
+}
+
+function round(n) {
+  return n === null ? null : +n.toFixed(1);
+}
@@ -0,0 +1,207 @@
+// src/habitSync.js
+// Two-way sync of habits between this device and the Supabase `habits`
+// table. Both sides hold the record described in habits.js; a row is
+//
+//   create table habits (
+//     id text primary key,
+//     user_id uuid not null references auth.users on delete cascade,
+//     name text not null,
+//     schedule jsonb not null default '{"type":"daily"}',
+//     archived boolean not null default false,
+//     completions jsonb not null default '{}',
+//     created_at timestamptz not null default now(),
+//     updated_at timestamptz not null default now(),
+//     deleted_at timestamptz,
+//     last_completed timestamptz
+//   );
+//   alter table habits enable row level security;
+//   create policy "own habits" on habits for all
+//     using (auth.uid() = user_id) with check (auth.uid() = user_id);
+//
+// (Tables created for the old cloud habits only need the new columns added
+// and `id` changed to text.) `last_completed` is still written for older
+// clients.
+//
+// Conflicts are resolved field by field, so nothing is lost by editing on two
+// devices: the habit's own fields (name, schedule, archived) come from the
+// side with the later `updatedAt`, each day's completion from the side that
+// set it last, and a deletion wins over edits.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { doneDates } from "./habits";
+import { canonicalJSON } from "./records";
+import { repairHabit } from "./storage";
+import { useOnline } from "./pwa";
+import { isNetworkError } from "./offlineQueue";
+
+const TABLE = "habits";
+const LAST_SYNC_KEY = "dpt_habits_last_sync";
+const SYNC_DELAY_MS = 2000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+/* ----------------- rows ----------------- */
+
+export function toCloudRow(habit, userId) {
+  const last = doneDates(habit).pop();
+  return {
+    id: habit.id,
+    user_id: userId,
+    name: habit.name,
+    schedule: habit.schedule,
+    archived: habit.archived,
+    completions: habit.completions,
+    created_at: habit.createdAt,
+    updated_at: habit.updatedAt,
+    deleted_at: habit.deletedAt,
+    last_completed: last ? new Date(`${last}T12:00:00`).toISOString() : null,
+  };
+}
+
+// Rows written by older clients have no completions, only last_completed;
+// repairHabit turns that into a completion.
+export function fromCloudRow(row) {
+  return repairHabit({
+    id: row.id,
+    name: row.name,
+    schedule: row.schedule,
+    archived: row.archived,
+    completions: row.completions,
+    last_completed: row.completions && Object.keys(row.completions).length ? null : row.last_completed,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    deletedAt: row.deleted_at,
+  });
+}
+
+/* ----------------- merging ----------------- */
+
+// Only the synced fields count; anything else a record carries stays local.
+function syncedFields({ id, name, schedule, archived, completions, createdAt, updatedAt, deletedAt }) {
+  return canonicalJSON({ id, name, schedule, archived, completions, createdAt, updatedAt, deletedAt });
+}
+
+export function sameHabit(a, b) {
+  return Boolean(a && b) && syncedFields(a) === syncedFields(b);
+}
+
+// Deterministic: merging a with b gives the same result as b with a.
+export function mergeHabit(a, b) {
+  if (!a || !b) return a || b;
+  const byTime = (a.updatedAt || "").localeCompare(b.updatedAt || "");
+  const own = byTime > 0 || (byTime === 0 && syncedFields(a) >= syncedFields(b)) ? a : b;
+
+  const completions = { ...a.completions };
+  Object.entries(b.completions || {}).forEach(([date, theirs]) => {
+    const ours = completions[date];
+    const order = ours ? (ours.at || "").localeCompare(theirs.at || "") : -1;
+    // Same moment on both sides: keep the mark rather than the undo.
+    if (order < 0 || (order === 0 && theirs.done)) completions[date] = theirs;
+  });
+
+  const deleted = [a.deletedAt, b.deletedAt].filter(Boolean).sort();
+  return { ...own, completions, deletedAt: deleted[0] || null };
+}
+
+// Local order first, then habits only the other side has.
+export function mergeHabitLists(local, remote) {
+  const theirs = new Map(remote.map((h) => [h.id, h]));
+  const mine = new Set(local.map((h) => h.id));
+  return [...local.map((h) => mergeHabit(h, theirs.get(h.id))), ...remote.filter((h) => !mine.has(h.id))];
+}
+
+// Habits in `list` that differ from (or are missing in) `base`.
+export function changedHabits(list, base) {
+  const byId = new Map(base.map((h) => [h.id, h]));
+  return list.filter((h) => !sameHabit(h, byId.get(h.id)));
+}
+
+/* ----------------- sync ----------------- */
+
+// Fetches the user's rows, merges them with `local` and uploads every habit
+// the table does not have in its merged form. Returns
+// { habits, pushed, pulled } where `habits` is the merged list.
+export async function syncHabits(client, userId, local) {
+  const { data, error } = await client.from(TABLE).select("*").eq("user_id", userId);
+  if (error) throw error;
+  const remote = (data || []).map(fromCloudRow).filter(Boolean);
+  const habits = mergeHabitLists(local, remote);
+
+  const toPush = changedHabits(habits, remote);
+  if (toPush.length) {
+    const { error: pushError } = await client.from(TABLE).upsert(toPush.map((h) => toCloudRow(h, userId)));
+    if (pushError) throw pushError;
+  }
+  return { habits, pushed: toPush.length, pulled: changedHabits(habits, local).length };
+}
+
+function lastSyncKey(userId) {
+  return `${LAST_SYNC_KEY}:${userId}`;
+}
+
+// Keeps `habits` in sync with the cloud while `enabled` and signed in: on
+// start and reconnect, a few seconds after each local change and every few
+// minutes. Returns { status, lastSyncedAt, error, pending, result, syncNow }
+// where status is "off" | "offline" | "syncing" | "synced" | "error" and
+// `pending` counts local changes not uploaded yet.
+export function useHabitSync({ client, userId, enabled, habits, setHabits }) {
+  const online = useOnline();
+  const active = Boolean(enabled && client && userId);
+  const [state, setState] = useState({ status: "syncing", error: null, result: null, running: false });
+  // The list as of the last sync, for the user it belongs to.
+  const [synced, setSynced] = useState({ userId: null, habits: null });
+  const latest = useRef({ client, userId, active, habits, setHabits });
+  const running = useRef(false);
+
+  useEffect(() => {
+    latest.current = { client, userId, active, habits, setHabits };
+  });
+
+  const syncNow = useCallback(async () => {
+    const { client, userId, active, habits, setHabits } = latest.current;
+    if (!active || running.current) return;
+    running.current = true;
+    setState((s) => ({ ...s, running: true, error: null }));
+    try {
+      const result = await syncHabits(client, userId, habits);
+      // Edits made while the request was out are merged on top.
+      setHabits((current) => mergeHabitLists(current, result.habits));
+      setSynced({ userId, habits: result.habits });
+      localStorage.setItem(lastSyncKey(userId), new Date().toISOString());
+      setState({ status: "synced", error: null, result: { pushed: result.pushed, pulled: result.pulled }, running: false });
+    } catch (e) {
+      console.error("habit sync failed", e);
+      setState({ status: isNetworkError(e) ? "offline" : "error", error: e.message || String(e), result: null, running: false });
+    } finally {
+      running.current = false;
+    }
+  }, []);
+
+  const base = synced.userId === userId ? synced.habits : null;
+  const pending = active ? changedHabits(habits, base || []).length : 0;
+
+  useEffect(() => {
+    if (active && online) syncNow();
+  }, [active, online, userId, syncNow]);
+
+  useEffect(() => {
+    if (!active || !online || !base || !pending) return;
+    const timer = setTimeout(syncNow, SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [active, online, base, pending, habits, syncNow]);
+
+  useEffect(() => {
+    if (!active || !online) return;
+    const timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [active, online, syncNow]);
+
+  const status = !active ? "off" : !online ? "offline" : state.running ? "syncing" : state.status;
+  return {
+    status,
+    lastSyncedAt: userId ? localStorage.getItem(lastSyncKey(userId)) : null,
+    error: state.error,
+    pending,
+    result: state.result,
+    syncNow,
+  };
+}
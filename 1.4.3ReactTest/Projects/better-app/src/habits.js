@@ -0,0 +1,188 @@
+// src/habits.js
+// Habits with a schedule and one completion record per day:
+//   { id, name, schedule, archived, completions: { "YYYY-MM-DD": { done, at } },
+//     createdAt, updatedAt, deletedAt }
+// The same record is stored locally and in the cloud (see habitSync.js):
+// `updatedAt` dates the habit's own fields and each completion has its own
+// `at`, so changes made on different devices can be merged.
+// `schedule` is one of
+//   { type: "daily" }
+//   { type: "weekdays", days: [0-6] }      0 = Sunday
+//   { type: "weekly", times: N }           any N days of a (Monday-first) week
+// Streaks and completion rates follow the schedule: days a habit is not due
+// neither extend nor break a streak, and weekly habits count in weeks.
+
+import { addDays, eachDay, localToday, parseLocalDate, periodRange, toLocalDate } from "./dates";
+
+export const HABIT_SCHEDULES = {
+  daily: "Every day",
+  weekdays: "On specific days",
+  weekly: "Times per week",
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export function newHabit(name, schedule = { type: "daily" }) {
+  const now = new Date().toISOString();
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    schedule,
+    archived: false,
+    completions: {},
+    createdAt: now,
+    updatedAt: now,
+    deletedAt: null,
+  };
+}
+
+// Changes the habit's own fields (name, schedule, archived, deletedAt).
+export function updateHabit(habit, fields) {
+  return { ...habit, ...fields, updatedAt: new Date().toISOString() };
+}
+
+// Dates marked done, oldest first.
+export function doneDates(habit) {
+  return Object.keys(habit.completions || {})
+    .filter((date) => habit.completions[date].done)
+    .sort();
+}
+
+// Habits saved before schedules existed are daily.
+export function habitSchedule(habit) {
+  const s = habit.schedule;
+  if (s?.type === "weekdays" && Array.isArray(s.days) && s.days.length) return s;
+  if (s?.type === "weekly" && s.times >= 1) return { type: "weekly", times: Math.min(7, s.times) };
+  return { type: "daily" };
+}
+
+export function describeSchedule(schedule) {
+  if (schedule.type === "weekdays") {
+    // Listed Monday first, like the weeks.
+    return [1, 2, 3, 4, 5, 6, 0].filter((d) => schedule.days.includes(d)).map((d) => WEEKDAYS[d]).join(", ");
+  }
+  if (schedule.type === "weekly") return `${schedule.times}× a week`;
+  return "Every day";
+}
+
+// Whether the habit is due on `date` on its own (weekly habits may be done on
+// any day, so every day is a candidate).
+export function isDue(habit, date) {
+  const s = habitSchedule(habit);
+  return s.type !== "weekdays" || s.days.includes(parseLocalDate(date).getDay());
+}
+
+// Marks `date` done, or undoes it if it already is. Future days are left alone.
+// An undo is kept as a `done: false` record so it wins over the older mark
+// when devices are merged.
+export function toggleCompletion(habit, date, today = localToday()) {
+  if (date > today) return habit;
+  const done = Boolean(habit.completions?.[date]?.done);
+  return { ...habit, completions: { ...habit.completions, [date]: { done: !done, at: new Date().toISOString() } } };
+}
+
+/* ----------------- streaks ----------------- */
+
+// { current, longest, unit: "day" | "week" }. The current streak is not broken
+// by today (or this week) not being done yet.
+export function habitStreak(habit, today = localToday()) {
+  const dates = doneDates(habit);
+  const done = new Set(dates);
+  const s = habitSchedule(habit);
+  const first = dates[0];
+  if (!first) return { current: 0, longest: 0, unit: s.type === "weekly" ? "week" : "day" };
+
+  if (s.type === "weekly") {
+    const weeks = [];
+    for (let from = periodRange("week", first).from; from <= today; from = addDays(from, 7)) {
+      const count = eachDay(from, addDays(from, 6)).filter((d) => done.has(d)).length;
+      weeks.push(count >= s.times);
+    }
+    // The last week is always the current one.
+    return { ...runs(weeks, true), unit: "week" };
+  }
+
+  const due = eachDay(first, today).filter((d) => isDue(habit, d));
+  return { ...runs(due.map((d) => done.has(d)), due[due.length - 1] === today), unit: "day" };
+}
+
+// Current and longest run of `true` in a list ordered oldest first. When
+// `lastIsCurrent`, the last item is the current (unfinished) period and does
+// not break the run if it is not met yet.
+function runs(met, lastIsCurrent) {
+  let longest = 0;
+  let run = 0;
+  met.forEach((m) => {
+    run = m ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  let current = 0;
+  const start = lastIsCurrent && met.length && !met[met.length - 1] ? met.length - 2 : met.length - 1;
+  for (let i = start; i >= 0 && met[i]; i--) current++;
+  return { current, longest };
+}
+
+/* ----------------- completion ----------------- */
+
+// Completions against what the schedule asked for between `from` and `to`
+// (inclusive). Weekly habits are counted per week and capped at the target,
+// so extra days don't make up for a missed week. Days before the habit was
+// created are left out. Returns { due, done, rate } with rate in 0..1 or null.
+export function completionRate(habit, from, to) {
+  const created = habit.createdAt ? toLocalDate(new Date(habit.createdAt)) : null;
+  const start = created && created > from ? created : from;
+  const dates = doneDates(habit);
+  const begin = dates[0] && dates[0] < start ? dates[0] : start;
+  if (begin > to) return { due: 0, done: 0, rate: null };
+  const done = new Set(dates);
+  const s = habitSchedule(habit);
+
+  if (s.type === "weekly") {
+    let due = 0;
+    let met = 0;
+    for (let week = periodRange("week", begin).from; week <= to; week = addDays(week, 7)) {
+      const days = eachDay(week < begin ? begin : week, addDays(week, 6) > to ? to : addDays(week, 6));
+      // A partial week asks for a proportional share of the target.
+      const target = Math.max(1, Math.round((s.times * days.length) / 7));
+      due += target;
+      met += Math.min(target, days.filter((d) => done.has(d)).length);
+    }
+    return { due, done: met, rate: due ? met / due : null };
+  }
+
+  const dueDays = eachDay(begin, to).filter((d) => isDue(habit, d));
+  const met = dueDays.filter((d) => done.has(d)).length;
+  return { due: dueDays.length, done: met, rate: dueDays.length ? met / dueDays.length : null };
+}
+
+// Completion rate for each of the last `count` months (oldest first), as
+// { month: "YYYY-MM", label, rate (0-100) | null }. The current month runs to
+// today.
+export function monthlyRates(habit, count = 6, today = localToday()) {
+  const t = parseLocalDate(today);
+  const months = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const d = new Date(t.getFullYear(), t.getMonth() - i, 1);
+    const { from, to } = periodRange("month", toLocalDate(d));
+    const { rate } = completionRate(habit, from, to > today ? today : to);
+    months.push({
+      month: from.slice(0, 7),
+      label: d.toLocaleDateString([], { month: "short" }),
+      rate: rate === null ? null : Math.round(rate * 100),
+    });
+  }
+  return months;
+}
+
+// Days of `month` ("YYYY-MM") as weeks (Monday first) for a calendar grid;
+// padding cells are null. Each day is { date, done, due, future }.
+export function monthGrid(habit, month, today = localToday()) {
+  const { from, to } = periodRange("month", `${month}-01`);
+  const done = new Set(doneDates(habit));
+  const cells = Array((parseLocalDate(from).getDay() + 6) % 7).fill(null);
+  eachDay(from, to).forEach((date) => cells.push({ date, done: done.has(date), due: isDue(habit, date), future: date > today }));
+  while (cells.length % 7) cells.push(null);
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+}
@@ -0,0 +1,215 @@
+// src/insights.js
+// Data-driven suggestions for the sidebar. Each insight states a finding, the
+// numbers behind it and one thing to try. Findings that the data does not
+// support (too few days, weak correlation) are left out rather than guessed.
+
+import { dailySeries } from "./analytics";
+import { parseLocalDate } from "./dates";
+import { analyze } from "./searchIndex";
+
+const MIN_DAYS = 5; // logged days needed before a correlation means anything
+const MIN_TAG_ENTRIES = 3;
+const MIN_REPEATS = 3;
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Pearson correlation of two equal-length number lists, or null when either
+// list has no variation.
+export function correlation(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mx = xs.reduce((s, x) => s + x, 0) / n;
+  const my = ys.reduce((s, y) => s + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Insights for `entries` within `range` ({ from, to }), strongest first.
+export function computeInsights(entries, range) {
+  const inWindow = entries.filter((e) => e.date >= range.from && e.date <= range.to);
+  const days = dailySeries(inWindow, range).filter((d) => d.entries > 0);
+  return [
+    planningInsight(days),
+    moodFocusInsight(days),
+    moodCompletionInsight(days),
+    weekdayInsight(days),
+    tagMoodInsight(inWindow),
+    repeatedChallengeInsight(inWindow),
+  ]
+    .filter(Boolean)
+    .sort((a, b) => b.strength - a.strength);
+}
+
+function planningInsight(days) {
+  const planned = days.filter((d) => d.planned > 0);
+  if (planned.length < MIN_DAYS) return null;
+  const totalPlanned = planned.reduce((s, d) => s + d.planned, 0);
+  const totalCompleted = planned.reduce((s, d) => s + d.completed, 0);
+  const rate = Math.round((totalCompleted / totalPlanned) * 100);
+  const avgPlanned = round(totalPlanned / planned.length, 1);
+  const avgCompleted = round(totalCompleted / planned.length, 1);
+  const evidence = `${rate}% of planned tasks completed over ${planned.length} days (avg ${avgCompleted} of ${avgPlanned} per day).`;
+  if (rate < 50) {
+    return {
+      id: "planning",
+      tone: "warning",
+      strength: (50 - rate) / 50,
+      text: `Plan about ${Math.max(1, Math.round(avgCompleted))} tasks a day — closer to what you actually finish — and put the most important first.`,
+      evidence,
+    };
+  }
+  if (rate >= 90) {
+    return {
+      id: "planning",
+      tone: "positive",
+      strength: 0.2,
+      text: "You finish nearly everything you plan. Try adding one stretch task a day.",
+      evidence,
+    };
+  }
+  return null;
+}
+
+function moodFocusInsight(days) {
+  const rows = days.filter((d) => d.mood !== null);
+  if (rows.length < MIN_DAYS) return null;
+  const r = correlation(rows.map((d) => d.minutes), rows.map((d) => d.mood));
+  if (r === null || Math.abs(r) < 0.3) return null;
+
+  const median = [...rows].map((d) => d.minutes).sort((a, b) => a - b)[Math.floor(rows.length / 2)];
+  const high = rows.filter((d) => d.minutes >= median);
+  const low = rows.filter((d) => d.minutes < median);
+  const split = low.length
+    ? ` Avg mood ${avgMood(high)} on days with ${median}+ focused minutes vs ${avgMood(low)} below.`
+    : "";
+  return {
+    id: "mood-focus",
+    tone: r > 0 ? "positive" : "warning",
+    strength: Math.abs(r),
+    text:
+      r > 0
+        ? "Your mood is better on days with more focused time. Protect a focus block early in the day."
+        : "Long focus days go with lower mood. Try shorter blocks with real breaks in between.",
+    evidence: `Correlation ${round(r, 2)} between minutes focused and mood over ${rows.length} days.${split}`,
+  };
+}
+
+function moodCompletionInsight(days) {
+  const rows = days.filter((d) => d.mood !== null && d.planned > 0);
+  if (rows.length < MIN_DAYS) return null;
+  const r = correlation(rows.map((d) => d.completed / d.planned), rows.map((d) => d.mood));
+  if (r === null || Math.abs(r) < 0.3) return null;
+  return {
+    id: "mood-completion",
+    tone: r > 0 ? "neutral" : "warning",
+    strength: Math.abs(r) * 0.9,
+    text:
+      r > 0
+        ? "Finishing what you planned lifts your mood. On low days, plan fewer tasks you are sure to finish."
+        : "Your best-completion days are not your best-mood days. Check whether full days leave room for rest.",
+    evidence: `Correlation ${round(r, 2)} between completion rate and mood over ${rows.length} days.`,
+  };
+}
+
+function weekdayInsight(days) {
+  const byDay = WEEKDAYS.map(() => ({ days: 0, planned: 0, completed: 0 }));
+  days.forEach((d) => {
+    if (!d.planned) return;
+    const w = byDay[parseLocalDate(d.date).getDay()];
+    w.days++;
+    w.planned += d.planned;
+    w.completed += d.completed;
+  });
+  const rates = byDay
+    .map((w, i) => ({ day: WEEKDAYS[i], days: w.days, rate: w.planned ? Math.round((w.completed / w.planned) * 100) : null }))
+    .filter((w) => w.days >= 2);
+  if (rates.length < 3) return null;
+
+  const sorted = [...rates].sort((a, b) => b.rate - a.rate);
+  const best = sorted[0];
+  const worst = sorted[sorted.length - 1];
+  const gap = best.rate - worst.rate;
+  if (gap < 15) return null;
+  return {
+    id: "weekday",
+    tone: "neutral",
+    strength: Math.min(1, gap / 50),
+    text: `${worst.day}s are your weakest day. Plan lighter on ${worst.day}s, or move demanding work to ${best.day}s.`,
+    evidence: `Completion rate ${best.rate}% on ${best.day}s (${best.days} days) vs ${worst.rate}% on ${worst.day}s (${worst.days} days).`,
+  };
+}
+
+function tagMoodInsight(entries) {
+  const withMood = entries.filter((e) => Number(e.mood) > 0);
+  if (withMood.length < MIN_DAYS) return null;
+  const overall = withMood.reduce((s, e) => s + Number(e.mood), 0) / withMood.length;
+
+  const byTag = {};
+  withMood.forEach((e) => (e.tags || []).forEach((t) => (byTag[t] = [...(byTag[t] || []), Number(e.mood)])));
+  const tags = Object.entries(byTag)
+    .filter(([, moods]) => moods.length >= MIN_TAG_ENTRIES && moods.length < withMood.length)
+    .map(([tag, moods]) => ({ tag, count: moods.length, mood: moods.reduce((s, m) => s + m, 0) / moods.length }))
+    .map((t) => ({ ...t, delta: t.mood - overall }))
+    .filter((t) => Math.abs(t.delta) >= 0.3)
+    .sort((a, b) => b.delta - a.delta);
+  if (!tags.length) return null;
+
+  const up = tags[0].delta > 0 ? tags[0] : null;
+  const down = tags[tags.length - 1].delta < 0 ? tags[tags.length - 1] : null;
+  const describe = (t) => `"${t.tag}" ${round(t.mood, 1)} (${t.count} entries)`;
+  const parts = [up && describe(up), down && describe(down)].filter(Boolean);
+  return {
+    id: "tag-mood",
+    tone: down ? "warning" : "positive",
+    strength: Math.min(1, Math.max(up?.delta || 0, -(down?.delta || 0)) / 1.5),
+    text: [
+      up && `Days tagged "${up.tag}" go with a better mood — schedule more of them.`,
+      down && `Days tagged "${down.tag}" go with a lower mood — consider pairing them with something you enjoy.`,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    evidence: `Avg mood ${parts.join(", ")} vs ${round(overall, 1)} overall.`,
+  };
+}
+
+function repeatedChallengeInsight(entries) {
+  const counts = new Map(); // stem -> { word, entries }
+  entries.forEach((e) => {
+    const words = String(e.challenges || "").match(/[\p{L}\p{N}']+/gu) || [];
+    const seen = new Set();
+    words.forEach((word) => {
+      const [stem] = analyze(word);
+      if (!stem || stem.length < 4 || seen.has(stem)) return;
+      seen.add(stem);
+      const c = counts.get(stem) || { word: word.toLowerCase(), entries: 0 };
+      c.entries++;
+      counts.set(stem, c);
+    });
+  });
+  const repeated = [...counts.values()].filter((c) => c.entries >= MIN_REPEATS).sort((a, b) => b.entries - a.entries);
+  if (!repeated.length) return null;
+
+  const top = repeated[0];
+  const others = repeated.slice(1, 3).map((c) => `"${c.word}" ${c.entries}×`);
+  return {
+    id: "repeated-challenge",
+    tone: "warning",
+    strength: Math.min(1, top.entries / entries.length + 0.2),
+    text: `"${top.word}" keeps coming back as a challenge. Pick one change to try for a week and note whether it helps.`,
+    evidence: `Mentioned in the challenges of ${top.entries} of ${entries.length} entries${others.length ? `; also ${others.join(", ")}` : ""}.`,
+  };
+}
+
+function avgMood(rows) {
+  return round(rows.reduce((s, d) => s + d.mood, 0) / rows.length, 1);
+}
+
+function round(n, digits) {
+  return +n.toFixed(digits);
+}
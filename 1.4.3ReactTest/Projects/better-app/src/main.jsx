@@ -2,10 +2,15 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import App2 from './App2.jsx'
+import PwaBanner from './components/PwaBanner.jsx'
 
+// ?v2 opens the v2 tracker (cloud backups, habits, Pomodoro).
+const Root = new URLSearchParams(window.location.search).has('v2') ? App2 : App
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <Root />
+    <PwaBanner />
   </StrictMode>,
 )
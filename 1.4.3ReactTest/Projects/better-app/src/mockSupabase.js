@@ -0,0 +1,123 @@
+// src/mockSupabase.js
+// In-memory stand-in for the part of the Supabase client the sync code uses:
+//   client.from(table)
+//     .select(columns) .insert(rows) .upsert(rows, { onConflict }) .update(fields) .delete()
+//     .eq .neq .gt .gte .lt .lte .in  .order(column, { ascending })  .limit(n)  .single()
+// Queries are awaited and resolve to { data, error } like the real client.
+// `touch` maps a table to a column that gets the current server time on every
+// insert or update, the way a database trigger would (encrypted_records keeps
+// its `synced_at` that way). Like now() in Postgres, every row of one write
+// gets the same time. Pass `now` to control the clock and `fail(op)` to
+// make operations error.
+
+export function createMockSupabase({ now = () => new Date(), touch = { encrypted_records: "synced_at" }, fail = () => null } = {}) {
+  const tables = new Map();
+  const rowsOf = (table) => {
+    if (!tables.has(table)) tables.set(table, []);
+    return tables.get(table);
+  };
+
+  function from(table) {
+    const rows = rowsOf(table);
+    const stamp = (row, at) => (touch[table] ? { ...row, [touch[table]]: at } : row);
+
+    return {
+      select: (columns = "*") => query(table, "select", (matching) => matching.map((r) => pick(r, columns))),
+      insert: (input) =>
+        query(table, "insert", () => {
+          const at = now().toISOString();
+          const added = [].concat(input).map((r) => stamp({ ...r }, at));
+          rows.push(...added);
+          return added;
+        }),
+      upsert: (input, { onConflict = "id" } = {}) =>
+        query(table, "upsert", () => {
+          const keys = onConflict.split(",").map((k) => k.trim());
+          const at = now().toISOString();
+          return [].concat(input).map((r) => {
+            const i = rows.findIndex((x) => keys.every((k) => x[k] === r[k]));
+            const row = stamp(i === -1 ? { ...r } : { ...rows[i], ...r }, at);
+            if (i === -1) rows.push(row);
+            else rows[i] = row;
+            return row;
+          });
+        }),
+      update: (fields) =>
+        query(table, "update", (matching) => {
+          const at = now().toISOString();
+          return matching.map((r) => {
+            const row = stamp({ ...r, ...fields }, at);
+            rows[rows.indexOf(r)] = row;
+            return row;
+          });
+        }),
+      delete: () =>
+        query(table, "delete", (matching) => {
+          matching.forEach((r) => rows.splice(rows.indexOf(r), 1));
+          return matching;
+        }),
+    };
+  }
+
+  // Filters and modifiers are collected, then `run(matchingRows)` does the
+  // operation when the query is awaited. Inserts and upserts ignore filters.
+  function query(table, op, run) {
+    const filters = [];
+    const orders = [];
+    let limit = Infinity;
+    let single = false;
+    const builder = {
+      eq: (col, v) => filter((r) => r[col] === v),
+      neq: (col, v) => filter((r) => r[col] !== v),
+      gt: (col, v) => filter((r) => r[col] > v),
+      gte: (col, v) => filter((r) => r[col] >= v),
+      lt: (col, v) => filter((r) => r[col] < v),
+      lte: (col, v) => filter((r) => r[col] <= v),
+      in: (col, list) => filter((r) => list.includes(r[col])),
+      // Later calls break ties of earlier ones, as in SQL.
+      order: (column, { ascending = true } = {}) => {
+        orders.push({ column, ascending });
+        return builder;
+      },
+      limit: (n) => {
+        limit = n;
+        return builder;
+      },
+      single: () => {
+        single = true;
+        return builder;
+      },
+      select: () => builder,
+      then: (resolve, reject) => Promise.resolve().then(execute).then(resolve, reject),
+    };
+    function filter(fn) {
+      filters.push(fn);
+      return builder;
+    }
+    function execute() {
+      const error = fail(op, table);
+      if (error) return { data: null, error: typeof error === "string" ? { message: error } : error };
+      let matching = op === "insert" || op === "upsert" ? [] : rowsOf(table).filter((r) => filters.every((f) => f(r)));
+      if (orders.length) {
+        const compare = (a, b) => {
+          for (const { column, ascending } of orders) {
+            if (a[column] !== b[column]) return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+          }
+          return 0;
+        };
+        matching = [...matching].sort(compare);
+      }
+      const data = run(matching.slice(0, limit)).map((r) => ({ ...r }));
+      if (!single) return { data, error: null };
+      return data.length === 1 ? { data: data[0], error: null } : { data: null, error: { message: `expected one row, got ${data.length}` } };
+    }
+    return builder;
+  }
+
+  return { from, tables };
+}
+
+function pick(row, columns) {
+  if (columns === "*") return row;
+  return Object.fromEntries(columns.split(",").map((c) => c.trim()).map((c) => [c, row[c]]));
+}
@@ -0,0 +1,91 @@
+// src/offlineQueue.js
+// Network calls made while offline, kept in localStorage and replayed in
+// order once the connection is back. An op is
+//   { id, type, key, payload, queuedAt }
+// and is run by the handler registered for its `type`. Queueing an op with
+// the same `key` as a waiting one replaces it, so e.g. only the latest backup
+// of a user is uploaded.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useOnline } from "./pwa";
+
+const QUEUE_KEY = "dpt_offline_queue";
+
+// True when `error` looks like a lost connection rather than a refusal by the
+// server. supabase-js reports failed fetches as errors whose message comes
+// from the browser's TypeError.
+export function isNetworkError(error) {
+  if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+  return error instanceof TypeError || /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || "");
+}
+
+export function loadQueue(name) {
+  try {
+    return JSON.parse(localStorage.getItem(`${QUEUE_KEY}:${name}`) || "[]");
+  } catch (e) {
+    console.error("failed to parse offline queue", e);
+    return [];
+  }
+}
+
+function saveQueue(name, ops) {
+  localStorage.setItem(`${QUEUE_KEY}:${name}`, JSON.stringify(ops));
+}
+
+// `handlers` maps op types to async (payload) => void. The queue is replayed
+// when it is `ready` (e.g. signed in) and online, and again on every
+// reconnect. A handler that fails with a network error leaves its op (and the
+// ones after it) for the next attempt; any other failure drops the op and is
+// passed to `onError(op, error)`. `onReplayed(op)` is called per success.
+// Returns { pending, enqueue, flush }.
+export function useOfflineQueue(name, { handlers, ready = true, onReplayed = () => {}, onError = () => {} }) {
+  const online = useOnline();
+  const [pending, setPending] = useState(() => loadQueue(name));
+  const latest = useRef({ handlers, onReplayed, onError });
+  const flushing = useRef(false);
+
+  useEffect(() => {
+    latest.current = { handlers, onReplayed, onError };
+  });
+
+  const enqueue = useCallback(
+    (type, payload, key = null) => {
+      const op = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`, type, key, payload, queuedAt: new Date().toISOString() };
+      const ops = [...loadQueue(name).filter((o) => key === null || o.key !== key), op];
+      saveQueue(name, ops);
+      setPending(ops);
+      return op;
+    },
+    [name]
+  );
+
+  const flush = useCallback(async () => {
+    if (flushing.current) return;
+    flushing.current = true;
+    try {
+      // Re-read on every step: another tab may have replayed or queued ops.
+      for (let op = loadQueue(name)[0]; op; op = loadQueue(name)[0]) {
+        const { handlers, onReplayed, onError } = latest.current;
+        try {
+          const handler = handlers[op.type];
+          if (!handler) throw new Error(`No handler for queued "${op.type}"`);
+          await handler(op.payload);
+          onReplayed(op);
+        } catch (e) {
+          if (isNetworkError(e)) break;
+          onError(op, e);
+        }
+        saveQueue(name, loadQueue(name).filter((o) => o.id !== op.id));
+      }
+    } finally {
+      flushing.current = false;
+      setPending(loadQueue(name));
+    }
+  }, [name]);
+
+  useEffect(() => {
+    if (ready && online) flush();
+  }, [ready, online, flush]);
+
+  return { pending, enqueue, flush };
+}
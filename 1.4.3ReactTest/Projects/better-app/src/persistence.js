@@ -0,0 +1,205 @@
+// src/persistence.js
+// Pluggable persistence for journal entries. A backend implements:
+//   name                     label shown in the UI
+//   load()                   -> Promise<entries[]>
+//   saveChanges(prev, next)  -> Promise, writes only what changed between two states
+//   replaceAll(entries)      -> Promise
+// Habits and settings are small and stay in localStorage (see storage.js).
+// Changes are broadcast to other open tabs and merged there by entry id.
+
+import { useEffect, useRef, useState } from "react";
+import { KEYS, getSnapshotInfo, loadEntries, repairEntry, rollbackMigration, saveEntries } from "./storage";
+import { applyChanges, diffById } from "./records";
+import { useTabSync } from "./tabSync";
+
+const DB_NAME = "dpt";
+const DB_VERSION = 1;
+const ENTRY_STORE = "entries";
+
+export function createLocalStorageBackend(storage = localStorage) {
+  return {
+    name: "localStorage",
+    async load() {
+      return loadEntries(storage).items;
+    },
+    // Re-read before writing so changes saved by another tab are kept.
+    async saveChanges(prev, next) {
+      const { put, remove } = diffById(prev, next);
+      if (!put.length && !remove.length) return;
+      saveEntries(applyChanges(loadEntries(storage).items, put, remove), storage);
+    },
+    async replaceAll(entries) {
+      saveEntries(entries, storage);
+    },
+  };
+}
+
+// Entries are stored one record per id, indexed by date and (multi-entry) tag.
+export async function createIndexedDBBackend(idb = indexedDB) {
+  const db = await openDatabase(idb);
+  return {
+    name: "IndexedDB",
+    async load() {
+      const all = await promisify(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).getAll());
+      return all.map(repairEntry).filter(Boolean).sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || "").localeCompare(a.createdAt || ""));
+    },
+    async saveChanges(prev, next) {
+      const { put, remove } = diffById(prev, next);
+      if (!put.length && !remove.length) return;
+      await write(db, (store) => {
+        put.forEach((e) => store.put(e));
+        remove.forEach((id) => store.delete(id));
+      });
+    },
+    async replaceAll(entries) {
+      await write(db, (store) => {
+        store.clear();
+        entries.forEach((e) => store.put(e));
+      });
+    },
+    async findByDate(date) {
+      return promisify(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).index("date").getAll(date));
+    },
+    async findByTag(tag) {
+      return promisify(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).index("tags").getAll(tag));
+    },
+  };
+}
+
+// Prefer IndexedDB; entries still sitting in localStorage are moved across
+// (records already in the database win) and then removed from localStorage.
+// KEYS.entriesBackend records the move so a migration rollback knows where
+// the entries lived when its snapshot was taken.
+export async function openBestBackend(storage = localStorage) {
+  if (typeof indexedDB === "undefined") return createLocalStorageBackend(storage);
+  const backend = await createIndexedDBBackend();
+  const legacy = loadEntries(storage).items;
+  if (legacy.length) {
+    const existing = await backend.load();
+    const ids = new Set(existing.map((e) => e.id));
+    await backend.saveChanges([], legacy.filter((e) => !ids.has(e.id)));
+    storage.removeItem(KEYS.entries);
+  }
+  storage.setItem(KEYS.entriesBackend, "indexedDB");
+  return backend;
+}
+
+// rollbackMigration() for entries that may have moved to IndexedDB since the
+// snapshot: if they were still in localStorage then, the database is replaced
+// with the restored list, which would otherwise lose to the newer records
+// there on the next load. Entries already in IndexedDB at snapshot time are
+// left alone, as migrations never touch them.
+export async function rollbackPersistence(storage = localStorage) {
+  const info = getSnapshotInfo(storage);
+  if (!info || !rollbackMigration(storage)) return false;
+  if (info.entriesBackend !== "indexedDB" && typeof indexedDB !== "undefined") {
+    const backend = await createIndexedDBBackend();
+    await backend.replaceAll(loadEntries(storage).items);
+  }
+  return true;
+}
+
+export function isQuotaError(e) {
+  return !!e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22);
+}
+
+export function describeStorageError(e) {
+  if (isQuotaError(e)) return "Browser storage is full, so recent changes were not saved. Export a CSV backup and delete old entries or free up site data.";
+  return "Saving failed: " + (e?.message || e);
+}
+
+// Entries state backed by the best available backend. Until the backend has
+// loaded, `initialEntries` (read synchronously from localStorage) is shown;
+// edits made meanwhile are replayed onto the loaded list.
+export function usePersistedEntries(initialEntries) {
+  const [entries, setEntries] = useState(initialEntries);
+  const [status, setStatus] = useState({ backend: "localStorage", ready: false, error: null });
+  const initialRef = useRef(initialEntries);
+  const backendRef = useRef(null);
+  const savedRef = useRef(null);
+
+  // Another tab saved: its changes are already stored, so apply them to both
+  // the state and the saved copy to avoid writing them back.
+  const postChanges = useTabSync("entries", ({ put, remove }) => {
+    if (!savedRef.current) return;
+    savedRef.current = applyChanges(savedRef.current, put, remove);
+    setEntries((current) => applyChanges(current, put, remove));
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    openBestBackend()
+      .catch((e) => {
+        console.error("IndexedDB unavailable, using localStorage", e);
+        return createLocalStorageBackend();
+      })
+      .then(async (backend) => {
+        const loaded = await backend.load();
+        if (cancelled) return;
+        backendRef.current = backend;
+        savedRef.current = loaded;
+        setEntries((current) => {
+          const { put, remove } = diffById(initialRef.current, current);
+          return applyChanges(loaded, put, remove);
+        });
+        setStatus({ backend: backend.name, ready: true, error: null });
+      })
+      .catch((e) => !cancelled && setStatus((s) => ({ ...s, error: describeStorageError(e) })));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    const backend = backendRef.current;
+    if (!status.ready || !backend || savedRef.current === entries) return;
+    const prev = savedRef.current;
+    savedRef.current = entries;
+    const changes = diffById(prev, entries);
+    backend
+      .saveChanges(prev, entries)
+      .then(() => {
+        if (changes.put.length || changes.remove.length) postChanges(changes);
+        setStatus((s) => (s.error ? { ...s, error: null } : s));
+      })
+      .catch((e) => {
+        console.error("saving entries failed", e);
+        savedRef.current = prev;
+        setStatus((s) => ({ ...s, error: describeStorageError(e) }));
+      });
+  }, [entries, status.ready, postChanges]);
+
+  const clearError = () => setStatus((s) => ({ ...s, error: null }));
+  return [entries, setEntries, status, clearError];
+}
+
+function openDatabase(idb) {
+  return new Promise((resolve, reject) => {
+    const req = idb.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(ENTRY_STORE, { keyPath: "id" });
+      store.createIndex("date", "date");
+      store.createIndex("tags", "tags", { multiEntry: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another open tab"));
+  });
+}
+
+function write(db, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ENTRY_STORE, "readwrite");
+    fn(tx.objectStore(ENTRY_STORE));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+  });
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
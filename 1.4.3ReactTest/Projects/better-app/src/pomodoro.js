@@ -0,0 +1,261 @@
+// src/pomodoro.js
+// Pomodoro timer driven by timestamps: a running phase stores when it ends,
+// and the time left is always computed from the clock, so it neither drifts
+// nor stalls in a background tab. Work phases alternate with short breaks,
+// with a long break after every `longBreakEvery` work phases.
+//
+// Timer state:
+//   { phase: "work" | "shortBreak" | "longBreak",
+//     status: "idle" | "running" | "paused",
+//     durationMs,          length of the current phase
+//     endsAt,              epoch ms, while running
+//     remainingMs,         while idle or paused
+//     startedAt,           epoch ms the phase was first started, or null
+//     cycle,               work phases finished since the last long break
+//     tag }                optional tag for the session being worked on
+//
+// Finished work phases are logged as sessions
+//   { id, tag, date, startedAt, endedAt, minutes }
+// and their minutes are added to that day's entry (see creditFocus).
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { localToday, toLocalDate } from "./dates";
+import { useTabSync } from "./tabSync";
+
+const SETTINGS_KEY = "dpt_pomodoro_settings";
+const TIMER_KEY = "dpt_pomodoro_timer";
+const SESSIONS_KEY = "dpt_pomodoro_sessions";
+const MAX_SESSIONS = 1000;
+
+export const PHASES = { work: "Focus", shortBreak: "Short break", longBreak: "Long break" };
+
+export const DEFAULT_POMODORO_SETTINGS = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakEvery: 4,
+  autoStartBreaks: true,
+  autoStartWork: false,
+};
+
+/* ----------------- engine ----------------- */
+
+export function phaseMinutes(phase, settings) {
+  if (phase === "work") return settings.workMinutes;
+  return phase === "longBreak" ? settings.longBreakMinutes : settings.shortBreakMinutes;
+}
+
+export function idleTimer(settings, phase = "work", cycle = 0, tag = "") {
+  const durationMs = phaseMinutes(phase, settings) * 60000;
+  return { phase, status: "idle", durationMs, endsAt: null, remainingMs: durationMs, startedAt: null, cycle, tag };
+}
+
+export function remainingMs(timer, now = Date.now()) {
+  return timer.status === "running" ? Math.max(0, timer.endsAt - now) : timer.remainingMs;
+}
+
+export function startTimer(timer, now = Date.now()) {
+  if (timer.status === "running") return timer;
+  return { ...timer, status: "running", endsAt: now + timer.remainingMs, remainingMs: null, startedAt: timer.startedAt ?? now };
+}
+
+export function pauseTimer(timer, now = Date.now()) {
+  if (timer.status !== "running") return timer;
+  return { ...timer, status: "paused", endsAt: null, remainingMs: remainingMs(timer, now) };
+}
+
+// Phase after `timer`'s, with the work-phase count it would have.
+function following(timer, settings) {
+  if (timer.phase !== "work") return { phase: "work", cycle: timer.phase === "longBreak" ? 0 : timer.cycle };
+  const cycle = timer.cycle + 1;
+  return { phase: cycle >= settings.longBreakEvery ? "longBreak" : "shortBreak", cycle };
+}
+
+function autoStarts(phase, settings) {
+  return phase === "work" ? settings.autoStartWork : settings.autoStartBreaks;
+}
+
+// Moves past every phase that has ended by `now`. Auto-started phases begin
+// exactly when the previous one ended, so a tab that slept through several
+// catches up correctly. Returns { timer, finished } where `finished` lists
+// the work sessions completed (not yet logged).
+export function advanceTimer(timer, settings, now = Date.now()) {
+  const finished = [];
+  let t = timer;
+  while (t.status === "running" && t.endsAt <= now) {
+    if (t.phase === "work") {
+      finished.push({
+        id: `${t.startedAt}-${t.endsAt}`,
+        tag: t.tag || "",
+        date: toLocalDate(new Date(t.endsAt)),
+        startedAt: new Date(t.startedAt).toISOString(),
+        endedAt: new Date(t.endsAt).toISOString(),
+        minutes: Math.round(t.durationMs / 60000),
+      });
+    }
+    const next = following(t, settings);
+    const idle = idleTimer(settings, next.phase, next.cycle, t.tag);
+    t = autoStarts(next.phase, settings) ? startTimer(idle, t.endsAt) : idle;
+  }
+  return { timer: t, finished };
+}
+
+// Abandons the current phase without logging it and moves to the next one.
+// A skipped work phase does not count towards the long break.
+export function skipPhase(timer, settings, now = Date.now()) {
+  const next = timer.phase === "work" ? { phase: "shortBreak", cycle: timer.cycle } : following(timer, settings);
+  const idle = idleTimer(settings, next.phase, next.cycle, timer.tag);
+  return autoStarts(next.phase, settings) ? startTimer(idle, now) : idle;
+}
+
+export function resetTimer(timer, settings) {
+  return idleTimer(settings, "work", 0, timer.tag);
+}
+
+// Adds a session's minutes to the entry for its date (the newest one if
+// there are several), or creates an entry holding just the focus time.
+export function creditFocus(entries, session) {
+  const index = entries.findIndex((e) => e.date === session.date && !e.deletedAt);
+  if (index === -1) {
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+      date: session.date,
+      plannedTasks: 0,
+      completedTasks: 0,
+      tasksNotes: "",
+      wins: "",
+      challenges: "",
+      mood: 3,
+      tags: session.tag ? [session.tag] : [],
+      minutesFocused: session.minutes,
+      createdAt: new Date().toISOString(),
+    };
+    return [entry, ...entries];
+  }
+  return entries.map((e, i) => (i === index ? { ...e, minutesFocused: (Number(e.minutesFocused) || 0) + session.minutes, updatedAt: new Date().toISOString() } : e));
+}
+
+/* ----------------- storage ----------------- */
+
+function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.error(`failed to parse ${key}`, e);
+    return fallback;
+  }
+}
+
+export function loadPomodoroSettings() {
+  return { ...DEFAULT_POMODORO_SETTINGS, ...readJSON(SETTINGS_KEY, {}) };
+}
+
+export function loadSessions() {
+  return readJSON(SESSIONS_KEY, []);
+}
+
+// Appends the sessions not logged yet and returns only those. The log is
+// re-read first, so a session finished in several open tabs is logged (and
+// credited) once.
+function logSessions(sessions) {
+  const log = loadSessions();
+  const known = new Set(log.map((s) => s.id));
+  const added = sessions.filter((s) => !known.has(s.id));
+  if (added.length) localStorage.setItem(SESSIONS_KEY, JSON.stringify([...log, ...added].slice(-MAX_SESSIONS)));
+  return added;
+}
+
+/* ----------------- hook ----------------- */
+
+function notify(title, body) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  try {
+    new Notification(title, { body, tag: "dpt-pomodoro" });
+  } catch {
+    // Some mobile browsers only allow notifications from a service worker.
+    navigator.serviceWorker?.ready.then((reg) => reg.showNotification(title, { body, tag: "dpt-pomodoro" }));
+  }
+}
+
+// Timer, settings and session log, kept in localStorage (a reload resumes
+// the timer) and mirrored to other tabs. `onSessions(sessions)` receives
+// newly finished work sessions so the caller can credit them.
+export function usePomodoro({ onSessions }) {
+  const [settings, setSettings] = useState(loadPomodoroSettings);
+  const [timer, setTimer] = useState(() => readJSON(TIMER_KEY, null) || idleTimer(settings));
+  const [sessions, setSessions] = useState(loadSessions);
+  const [now, setNow] = useState(() => Date.now());
+  const latest = useRef({ timer, settings, onSessions });
+
+  useEffect(() => {
+    latest.current = { timer, settings, onSessions };
+  });
+
+  const post = useTabSync("pomodoro", (message) => {
+    if (message.settings) setSettings(message.settings);
+    if (message.timer) setTimer(message.timer);
+    setSessions(loadSessions());
+  });
+
+  const update = useCallback(
+    (nextTimer, nextSettings) => {
+      localStorage.setItem(TIMER_KEY, JSON.stringify(nextTimer));
+      setTimer(nextTimer);
+      if (nextSettings) {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(nextSettings));
+        setSettings(nextSettings);
+      }
+      post({ timer: nextTimer, settings: nextSettings });
+    },
+    [post]
+  );
+
+  const tick = useCallback(() => {
+    const { timer, settings, onSessions } = latest.current;
+    const at = Date.now();
+    setNow(at);
+    const { timer: next, finished } = advanceTimer(timer, settings, at);
+    if (next === timer) return;
+    // Every tab advances the same way; only the one that logs first credits.
+    localStorage.setItem(TIMER_KEY, JSON.stringify(next));
+    setTimer(next);
+    const added = logSessions(finished);
+    setSessions(loadSessions());
+    if (added.length) onSessions(added);
+    notify(next.phase === "work" ? "Break's over" : "Focus session done", next.phase === "work" ? "Time to focus." : `Take a ${PHASES[next.phase].toLowerCase()}.`);
+  }, []);
+
+  useEffect(() => {
+    if (timer.status !== "running") return;
+    tick();
+    const interval = setInterval(tick, 1000);
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [timer.status, timer.endsAt, tick]);
+
+  const today = localToday();
+  const todaySessions = sessions.filter((s) => s.date === today);
+
+  return {
+    settings,
+    timer,
+    remainingMs: remainingMs(timer, now),
+    sessions,
+    todaySessions,
+    todayMinutes: todaySessions.reduce((sum, s) => sum + s.minutes, 0),
+    start: () => {
+      if (typeof Notification !== "undefined" && Notification.permission === "default") Notification.requestPermission();
+      update(startTimer(timer));
+    },
+    pause: () => update(pauseTimer(timer)),
+    skip: () => update(skipPhase(timer, settings)),
+    reset: () => update(resetTimer(timer, settings)),
+    setTag: (tag) => update({ ...timer, tag }),
+    // New durations apply to the current phase only while it has not started.
+    setSettings: (next) => update(timer.status === "idle" ? idleTimer(next, timer.phase, timer.cycle, timer.tag) : timer, next),
+  };
+}
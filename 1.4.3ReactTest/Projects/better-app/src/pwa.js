@@ -0,0 +1,100 @@
+// src/pwa.js
+// Page side of the installable app: registers public/sw.js (once, shared
+// with reminders.js), tracks the connection, offers the browser's install
+// prompt and reports when a new build is waiting to take over.
+
+import { useEffect, useState, useSyncExternalStore } from "react";
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+let registering = null;
+
+// Resolves to the active registration, or null where service workers are
+// unavailable. Safe to call repeatedly.
+export function registerServiceWorker() {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return Promise.resolve(null);
+  if (!registering) {
+    registering = navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then(() => navigator.serviceWorker.ready)
+      .catch((e) => {
+        registering = null;
+        throw e;
+      });
+  }
+  return registering;
+}
+
+function subscribeOnline(onChange) {
+  window.addEventListener("online", onChange);
+  window.addEventListener("offline", onChange);
+  return () => {
+    window.removeEventListener("online", onChange);
+    window.removeEventListener("offline", onChange);
+  };
+}
+
+export function useOnline() {
+  return useSyncExternalStore(subscribeOnline, () => navigator.onLine);
+}
+
+// Returns { online, canInstall, install, updateReady, applyUpdate }.
+// `install()` shows the browser's install dialog; `applyUpdate()` activates
+// the waiting worker and reloads once it controls the page.
+export function usePwa() {
+  const online = useOnline();
+  const [installEvent, setInstallEvent] = useState(null);
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => {
+    function onPrompt(e) {
+      e.preventDefault();
+      setInstallEvent(e);
+    }
+    const onInstalled = () => setInstallEvent(null);
+    window.addEventListener("beforeinstallprompt", onPrompt);
+    window.addEventListener("appinstalled", onInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", onPrompt);
+      window.removeEventListener("appinstalled", onInstalled);
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer;
+    registerServiceWorker()
+      .then((reg) => {
+        if (!reg || cancelled) return;
+        // A worker installed while this page runs an older one is an update;
+        // the very first install has no controller and takes over directly.
+        const offer = (worker) => navigator.serviceWorker.controller && !cancelled && setWaiting(worker);
+        if (reg.waiting) offer(reg.waiting);
+        reg.addEventListener("updatefound", () => {
+          const worker = reg.installing;
+          worker?.addEventListener("statechange", () => worker.state === "installed" && offer(worker));
+        });
+        timer = setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+      })
+      .catch((e) => console.error("service worker registration failed", e));
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  async function install() {
+    if (!installEvent) return;
+    installEvent.prompt();
+    await installEvent.userChoice.catch(() => null);
+    setInstallEvent(null);
+  }
+
+  function applyUpdate() {
+    if (!waiting) return;
+    navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+    waiting.postMessage({ type: "sw:skip-waiting" });
+  }
+
+  return { online, canInstall: Boolean(installEvent), install, updateReady: Boolean(waiting), applyUpdate };
+}
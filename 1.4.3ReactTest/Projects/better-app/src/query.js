@@ -0,0 +1,276 @@
+// src/query.js
+// Search syntax for the journal, e.g.
+//   tag:coding -tag:chores mood:<3 focus:>=60 wins:"shipped" date:2026-09..2026-10
+// Terms next to each other are ANDed; OR, NOT (or a leading "-") and
+// parentheses combine them. Bare words and "quoted phrases" search the text
+// of notes, wins, challenges, tags and task titles.
+
+import { localToday, toLocalDate } from "./dates";
+
+const NUMERIC_FIELDS = {
+  mood: (e) => e.mood,
+  focus: (e) => e.minutesFocused,
+  minutes: (e) => e.minutesFocused,
+  minutesfocused: (e) => e.minutesFocused,
+  planned: (e) => e.plannedTasks,
+  plannedtasks: (e) => e.plannedTasks,
+  completed: (e) => e.completedTasks,
+  done: (e) => e.completedTasks,
+  completedtasks: (e) => e.completedTasks,
+  rate: (e) => (e.plannedTasks ? (e.completedTasks / e.plannedTasks) * 100 : null),
+};
+
+const TEXT_FIELDS = {
+  notes: (e) => [e.tasksNotes],
+  wins: (e) => [e.wins],
+  challenges: (e) => [e.challenges],
+  task: (e) => (e.tasks || []).map((t) => t.title),
+  text: (e) => searchableText(e),
+};
+
+const OTHER_FIELDS = ["tag", "date", "last"];
+
+export const QUERY_FIELDS = [...OTHER_FIELDS, ...Object.keys(TEXT_FIELDS), ...Object.keys(NUMERIC_FIELDS)];
+
+// Parse `text` into { test(entry), terms } or { error }. An empty query
+// matches all. `terms` lists the words searched for (bare words and text
+// field values), for ranking and highlighting. `matchText(entry, words)` can
+// replace the default substring search for bare words (e.g. with a full-text
+// index).
+export function parseQuery(text, { today = localToday(), matchText = defaultMatchText } = {}) {
+  try {
+    const parser = new Parser(tokenize(text), { today, matchText });
+    const node = parser.parse();
+    return { test: node || (() => true), terms: parser.terms, error: null };
+  } catch (e) {
+    return { test: null, terms: [], error: e.message };
+  }
+}
+
+// Every text blob a bare word can match.
+export function searchableText(e) {
+  return [e.tasksNotes, e.wins, e.challenges, (e.tags || []).join(", "), ...(e.tasks || []).map((t) => t.title)];
+}
+
+function defaultMatchText(entry, words) {
+  const haystack = searchableText(entry).join("\n").toLowerCase();
+  return words.every((w) => haystack.includes(w.toLowerCase()));
+}
+
+/* ----------------- tokenizer ----------------- */
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, pos: i });
+      i++;
+    } else if (ch === "-" && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+      tokens.push({ type: "NOT", pos: i });
+      i++;
+    } else {
+      const start = i;
+      let raw = "";
+      let quoted = false;
+      while (i < text.length && !/[\s()]/.test(text[i])) {
+        if (text[i] === '"') {
+          const end = text.indexOf('"', i + 1);
+          if (end === -1) throw new Error(`Unclosed quote at position ${i + 1}.`);
+          raw += text.slice(i + 1, end);
+          quoted = true;
+          i = end + 1;
+        } else {
+          raw += text[i++];
+        }
+      }
+      if (!quoted && (raw === "AND" || raw === "OR" || raw === "NOT")) tokens.push({ type: raw, pos: start });
+      else tokens.push({ type: "TERM", raw, quoted, text: text.slice(start, i), pos: start });
+    }
+  }
+  return tokens;
+}
+
+/* ----------------- parser ----------------- */
+
+// Recursive descent: or := and ("OR" and)* ; and := unary ("AND"? unary)* ;
+// unary := ("NOT" | "-") unary | "(" or ")" | term
+class Parser {
+  constructor(tokens, options) {
+    this.tokens = tokens;
+    this.i = 0;
+    this.options = options;
+    this.terms = [];
+  }
+
+  parse() {
+    if (!this.tokens.length) return null;
+    const node = this.or();
+    const extra = this.peek();
+    if (extra) throw new Error(`Unexpected "${extra.type === ")" ? ")" : extra.text || extra.type}" at position ${extra.pos + 1}.`);
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.i];
+  }
+
+  or() {
+    const parts = [this.and()];
+    while (this.peek()?.type === "OR") {
+      this.i++;
+      parts.push(this.and());
+    }
+    return parts.length === 1 ? parts[0] : (e) => parts.some((p) => p(e));
+  }
+
+  and() {
+    const parts = [this.unary()];
+    for (;;) {
+      const next = this.peek();
+      if (!next || next.type === "OR" || next.type === ")") break;
+      if (next.type === "AND") this.i++;
+      parts.push(this.unary());
+    }
+    return parts.length === 1 ? parts[0] : (e) => parts.every((p) => p(e));
+  }
+
+  unary() {
+    const token = this.peek();
+    if (!token) throw new Error("Query ends unexpectedly — something is missing after the last operator.");
+    if (token.type === "NOT") {
+      this.i++;
+      const inner = this.unary();
+      return (e) => !inner(e);
+    }
+    if (token.type === "(") {
+      this.i++;
+      const inner = this.or();
+      if (this.peek()?.type !== ")") throw new Error(`Missing ")" for the "(" at position ${token.pos + 1}.`);
+      this.i++;
+      return inner;
+    }
+    if (token.type === "TERM") {
+      this.i++;
+      return this.term(token);
+    }
+    throw new Error(`Unexpected "${token.type}" at position ${token.pos + 1}.`);
+  }
+
+  term(token) {
+    // A colon inside a quoted phrase ("10:30 standup") is not a field.
+    const isField = !token.quoted || token.text.indexOf(":") < token.text.indexOf('"');
+    const match = isField ? /^([a-zA-Z]+):(.*)$/s.exec(token.raw) : null;
+    if (!match) {
+      this.terms.push(token.raw);
+      return (e) => this.options.matchText(e, [token.raw]);
+    }
+
+    const field = match[1].toLowerCase();
+    const value = match[2];
+    const where = `"${token.text}" (position ${token.pos + 1})`;
+    if (value === "") throw new Error(`${where} needs a value after the colon.`);
+
+    if (field === "tag") {
+      const wanted = value.toLowerCase();
+      const prefix = wanted.endsWith("*") ? wanted.slice(0, -1) : null;
+      return (e) => (e.tags || []).some((t) => (prefix !== null ? t.toLowerCase().startsWith(prefix) : t.toLowerCase() === wanted));
+    }
+    if (field === "date") return dateTest(value, where);
+    if (field === "last") return lastTest(value, where, this.options.today);
+    if (TEXT_FIELDS[field]) {
+      this.terms.push(value);
+      const lower = value.toLowerCase();
+      return (e) => TEXT_FIELDS[field](e).some((t) => (t || "").toLowerCase().includes(lower));
+    }
+    if (NUMERIC_FIELDS[field]) return numericTest(NUMERIC_FIELDS[field], value, where);
+    throw new Error(`Unknown field "${match[1]}" in ${where}. Known fields: ${QUERY_FIELDS.join(", ")}.`);
+  }
+}
+
+/* ----------------- field tests ----------------- */
+
+const COMPARATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "=": (a, b) => a === b,
+};
+
+function numericTest(get, value, where) {
+  const range = /^(-?\d+(?:\.\d+)?)?\.\.(-?\d+(?:\.\d+)?)?$/.exec(value);
+  if (range && (range[1] || range[2])) {
+    const lo = range[1] === undefined ? -Infinity : Number(range[1]);
+    const hi = range[2] === undefined ? Infinity : Number(range[2]);
+    return (e) => {
+      const v = get(e);
+      return v !== null && v !== undefined && v >= lo && v <= hi;
+    };
+  }
+  const cmp = /^(<=|>=|<|>|=)?(-?\d+(?:\.\d+)?)$/.exec(value);
+  if (!cmp) throw new Error(`${where} expects a number such as 3, >=60, <3 or 2..5.`);
+  const op = COMPARATORS[cmp[1] || "="];
+  const n = Number(cmp[2]);
+  return (e) => {
+    const v = get(e);
+    return v !== null && v !== undefined && op(Number(v), n);
+  };
+}
+
+// YYYY, YYYY-MM or YYYY-MM-DD, optionally with a comparator or as a range.
+function dateTest(value, where) {
+  const range = /^([^.]*)\.\.([^.]*)$/.exec(value);
+  if (range) {
+    const from = range[1] ? datePeriod(range[1], where).from : "0000-01-01";
+    const to = range[2] ? datePeriod(range[2], where).to : "9999-12-31";
+    return (e) => e.date >= from && e.date <= to;
+  }
+  const cmp = /^(<=|>=|<|>|=)?(.+)$/.exec(value);
+  const { from, to } = datePeriod(cmp[2], where);
+  switch (cmp[1]) {
+    case "<":
+      return (e) => e.date < from;
+    case "<=":
+      return (e) => e.date <= to;
+    case ">":
+      return (e) => e.date > to;
+    case ">=":
+      return (e) => e.date >= from;
+    default:
+      return (e) => e.date >= from && e.date <= to;
+  }
+}
+
+function datePeriod(text, where) {
+  const m = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(text);
+  if (!m) throw new Error(`${where}: "${text}" is not a date. Use YYYY, YYYY-MM or YYYY-MM-DD.`);
+  const [, y, mo, d] = m;
+  if (d) {
+    if (isNaN(Date.parse(text))) throw new Error(`${where}: "${text}" is not a valid day.`);
+    return { from: text, to: text };
+  }
+  if (mo) {
+    const lastDay = new Date(Number(y), Number(mo), 0).getDate();
+    return { from: `${y}-${mo}-01`, to: `${y}-${mo}-${String(lastDay).padStart(2, "0")}` };
+  }
+  return { from: `${y}-01-01`, to: `${y}-12-31` };
+}
+
+// last:14d, last:2w, last:3m, last:1y — a window ending today (inclusive).
+function lastTest(value, where, today) {
+  const m = /^(\d+)([dwmy])$/.exec(value.toLowerCase());
+  if (!m) throw new Error(`${where} expects a period like 14d, 2w, 3m or 1y.`);
+  const n = Number(m[1]);
+  const [y, mo, d] = today.split("-").map(Number);
+  let start;
+  if (m[2] === "d") start = new Date(y, mo - 1, d - n + 1);
+  if (m[2] === "w") start = new Date(y, mo - 1, d - n * 7 + 1);
+  if (m[2] === "m") start = new Date(y, mo - 1 - n, d + 1);
+  if (m[2] === "y") start = new Date(y - n, mo - 1, d + 1);
+  const from = toLocalDate(start);
+  return (e) => e.date >= from && e.date <= today;
+}
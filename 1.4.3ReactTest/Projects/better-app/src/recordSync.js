@@ -0,0 +1,372 @@
+// src/recordSync.js
+// End-to-end encrypted sync of journal entries and habits, one record per
+// row, through the Supabase `encrypted_records` table:
+//
+//   create table encrypted_records (
+//     id text primary key,                 -- "<kind>:<record id>"
+//     user_id uuid not null references auth.users on delete cascade,
+//     kind text not null,                  -- "entries" | "habits"
+//     record_id text not null,
+//     version integer not null,
+//     device_id text not null,
+//     client_updated_at timestamptz not null,
+//     deleted boolean not null default false,
+//     payload text,                        -- encrypted record, null once deleted
+//     synced_at timestamptz not null default now()
+//   );
+//   create index on encrypted_records (user_id, synced_at);
+//   create function touch_synced_at() returns trigger language plpgsql as
+//     $$ begin new.synced_at = now(); return new; end $$;
+//   create trigger encrypted_records_touch before insert or update
+//     on encrypted_records for each row execute function touch_synced_at();
+//   alter table encrypted_records enable row level security;
+//   create policy "own records" on encrypted_records for all
+//     using (auth.uid() = user_id) with check (auth.uid() = user_id);
+//
+// The server only sees the metadata. Each device remembers, per record, the
+// version and a hash of what it last synced (`state.records`) and the last
+// row it has pulled (`state.cursor`, its `synced_at` and `id`: the trigger's
+// now() is the same for every row of one write, so the time alone does not
+// say where a page ended). A sync pulls rows changed since the cursor and
+// pushes local records whose hash changed, or tombstones for records deleted
+// here. Rows that cannot be decrypted (e.g. sealed with a key this device
+// does not have yet) are skipped and counted as `unreadable`; the cursor stops
+// before the first of them so they are tried again next time. Versions are
+// ordered by version number, then client time, then device id, so every
+// device picks the same winner; habits changed on both sides are merged field
+// by field instead (see habitSync.js) and pushed as a new version.
+//
+// `cipher` is { encrypt(text) -> Promise<string>, decrypt(string) -> Promise<text> },
+// normally envelopeCipher() from envelope.js.
+// mockSupabase.js stands in for the client in tests.
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { applyChanges, canonicalJSON } from "./records";
+import { mergeHabit } from "./habitSync";
+import { repairEntry, repairHabit } from "./storage";
+import { useOnline } from "./pwa";
+import { isNetworkError } from "./offlineQueue";
+
+const TABLE = "encrypted_records";
+const STATE_KEY = "dpt_record_sync";
+const DEVICE_KEY = "dpt_device_id";
+const PAGE_SIZE = 500;
+const SYNC_DELAY_MS = 3000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+export const RECORD_KINDS = ["entries", "habits"];
+const REPAIR = { entries: repairEntry, habits: repairHabit };
+
+export class SyncDecryptError extends Error {
+  constructor(recordKey, cause) {
+    super(`Could not decrypt synced record ${recordKey}: ${cause?.message || cause}`);
+    this.name = "SyncDecryptError";
+    this.recordKey = recordKey;
+    this.cause = cause;
+  }
+}
+
+/* ----------------- state ----------------- */
+
+export function emptySyncState() {
+  return { cursor: null, records: {} };
+}
+
+export function loadSyncState(userId) {
+  try {
+    return { ...emptySyncState(), ...JSON.parse(localStorage.getItem(`${STATE_KEY}:${userId}`) || "{}") };
+  } catch (e) {
+    console.error("failed to parse record sync state", e);
+    return emptySyncState();
+  }
+}
+
+export function saveSyncState(userId, state) {
+  localStorage.setItem(`${STATE_KEY}:${userId}`, JSON.stringify(state));
+}
+
+export function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_KEY);
+  if (!id) {
+    id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(DEVICE_KEY, id);
+  }
+  return id;
+}
+
+/* ----------------- versions ----------------- */
+
+// 53-bit string hash (cyrb53); only used to notice changes.
+export function hashRecord(record) {
+  const str = canonicalJSON(record);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// > 0 when version `a` beats `b`: higher version, then later client time,
+// then the larger device id.
+export function compareVersions(a, b) {
+  return a.version - b.version || (a.updatedAt || "").localeCompare(b.updatedAt || "") || (a.deviceId || "").localeCompare(b.deviceId || "");
+}
+
+// Local records that differ from what was last synced, as pending versions.
+// Records synced before but gone locally become tombstones.
+export function localChanges(local, state, deviceId, now = new Date().toISOString()) {
+  const changes = new Map();
+  RECORD_KINDS.forEach((kind) => {
+    const present = new Set();
+    (local[kind] || []).forEach((record) => {
+      const key = `${kind}:${record.id}`;
+      present.add(key);
+      const meta = state.records[key];
+      const hash = hashRecord(record);
+      if (meta && !meta.deleted && meta.hash === hash) return;
+      changes.set(key, { kind, id: record.id, version: (meta?.version || 0) + 1, updatedAt: now, deviceId, deleted: false, data: record, hash });
+    });
+    Object.entries(state.records).forEach(([key, meta]) => {
+      if (meta.kind !== kind || meta.deleted || present.has(key)) return;
+      changes.set(key, { kind, id: meta.id, version: meta.version + 1, updatedAt: now, deviceId, deleted: true, data: null, hash: null });
+    });
+  });
+  return changes;
+}
+
+/* ----------------- sync ----------------- */
+
+// Rows after `cursor` in (synced_at, id) order. Cursors saved before ids
+// were part of them are plain timestamps.
+async function pullRows(client, userId, cursor) {
+  const rows = [];
+  let after = typeof cursor === "string" ? { at: cursor, id: "" } : cursor;
+  const page = async (filter, limit) => {
+    const { data, error } = await filter(client.from(TABLE).select("*").eq("user_id", userId))
+      .order("synced_at", { ascending: true })
+      .order("id", { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+    return data;
+  };
+  for (;;) {
+    let data;
+    if (!after) data = await page((q) => q, PAGE_SIZE);
+    else {
+      // The rest of the rows written at the cursor's time, then later ones.
+      data = await page((q) => q.eq("synced_at", after.at).gt("id", after.id), PAGE_SIZE);
+      if (data.length < PAGE_SIZE) data = [...data, ...(await page((q) => q.gt("synced_at", after.at), PAGE_SIZE - data.length))];
+    }
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+    const last = data[data.length - 1];
+    after = { at: last.synced_at, id: last.id };
+  }
+  return rows;
+}
+
+async function decryptRow(row, cipher) {
+  const version = { kind: row.kind, id: row.record_id, version: row.version, updatedAt: row.client_updated_at, deviceId: row.device_id, deleted: row.deleted, data: null };
+  if (row.deleted) return version;
+  let parsed;
+  try {
+    parsed = JSON.parse(await cipher.decrypt(row.payload));
+  } catch (e) {
+    throw new SyncDecryptError(row.id, e);
+  }
+  return { ...version, data: REPAIR[row.kind]?.(parsed) || null };
+}
+
+// One sync round. `local` is { entries, habits }; returns the updated lists
+// (unchanged references when nothing came in), the new state and counts:
+// { entries, habits, state, pushed, pulled, conflicts, unreadable }.
+export async function syncRecords({ client, userId, cipher, deviceId, local, state, now = new Date().toISOString() }) {
+  const records = { ...state.records };
+  const changes = localChanges(local, state, deviceId, now);
+  const incoming = { entries: { put: [], remove: [] }, habits: { put: [], remove: [] } };
+  let cursor = state.cursor;
+  let stuck = false;
+  let pulled = 0;
+  let conflicts = 0;
+  let unreadable = 0;
+
+  const accept = (key, remote) => {
+    records[key] = { kind: remote.kind, id: remote.id, version: remote.version, updatedAt: remote.updatedAt, deviceId: remote.deviceId, deleted: remote.deleted, hash: remote.deleted ? null : hashRecord(remote.data) };
+    if (remote.deleted) incoming[remote.kind].remove.push(remote.id);
+    else incoming[remote.kind].put.push(remote.data);
+    pulled++;
+  };
+
+  for (const row of await pullRows(client, userId, state.cursor)) {
+    if (!RECORD_KINDS.includes(row.kind)) {
+      if (!stuck) cursor = { at: row.synced_at, id: row.id };
+      continue;
+    }
+    const key = `${row.kind}:${row.record_id}`;
+    const known = records[key];
+    // Our own pushes come back; versions already applied are skipped.
+    if (known && compareVersions({ version: row.version, updatedAt: row.client_updated_at, deviceId: row.device_id }, known) <= 0) {
+      if (!stuck) cursor = { at: row.synced_at, id: row.id };
+      continue;
+    }
+
+    let remote;
+    try {
+      remote = await decryptRow(row, cipher);
+    } catch (e) {
+      if (!(e instanceof SyncDecryptError)) throw e;
+      console.error(e);
+      // Keep our version of it too, rather than overwrite what we cannot read.
+      changes.delete(key);
+      unreadable++;
+      stuck = true;
+      continue;
+    }
+    if (!stuck) cursor = { at: row.synced_at, id: row.id };
+    if (!remote.deleted && !remote.data) continue;
+    const mine = changes.get(key);
+    if (!mine) {
+      accept(key, remote);
+      continue;
+    }
+
+    conflicts++;
+    if (row.kind === "habits" && !mine.deleted && !remote.deleted) {
+      const merged = mergeHabit(mine.data, remote.data);
+      changes.set(key, { ...mine, version: Math.max(mine.version, remote.version) + 1, data: merged, hash: hashRecord(merged) });
+      incoming.habits.put.push(merged);
+    } else if (compareVersions(mine, remote) > 0) {
+      // Ours wins; make sure its version number is ahead of theirs.
+      changes.set(key, { ...mine, version: Math.max(mine.version, remote.version + 1) });
+    } else {
+      changes.delete(key);
+      accept(key, remote);
+    }
+  }
+
+  const toPush = [...changes.values()];
+  if (toPush.length) {
+    const rows = await Promise.all(
+      toPush.map(async (c) => ({
+        id: `${c.kind}:${c.id}`,
+        user_id: userId,
+        kind: c.kind,
+        record_id: c.id,
+        version: c.version,
+        device_id: c.deviceId,
+        client_updated_at: c.updatedAt,
+        deleted: c.deleted,
+        payload: c.deleted ? null : await cipher.encrypt(canonicalJSON(c.data)),
+      }))
+    );
+    const { error } = await client.from(TABLE).upsert(rows, { onConflict: "id" });
+    if (error) throw error;
+    toPush.forEach((c) => {
+      records[`${c.kind}:${c.id}`] = { kind: c.kind, id: c.id, version: c.version, updatedAt: c.updatedAt, deviceId: c.deviceId, deleted: c.deleted, hash: c.hash };
+    });
+  }
+
+  const apply = (kind) => {
+    const { put, remove } = incoming[kind];
+    return put.length || remove.length ? applyChanges(local[kind], put, remove) : local[kind];
+  };
+  return { entries: apply("entries"), habits: apply("habits"), state: { cursor, records }, pushed: toPush.length, pulled, conflicts, unreadable };
+}
+
+/* ----------------- hook ----------------- */
+
+// Runs syncRecords while `enabled` (signed in, cloud mode, key available and
+// local entries loaded): on start and reconnect, shortly after local changes
+// and every few minutes. Same shape as useHabitSync's result, plus
+// `reencryptAll()`.
+export function useRecordSync({ client, userId, cipher, enabled, entries, setEntries, habits, setHabits }) {
+  const online = useOnline();
+  const active = Boolean(enabled && client && userId && cipher);
+  const [state, setState] = useState({ status: "syncing", error: null, result: null, running: false });
+  // The sync state as of the last round, for the user it belongs to.
+  const [synced, setSynced] = useState({ userId: null, state: null });
+  const latest = useRef({ client, userId, cipher, active, entries, setEntries, habits, setHabits });
+  const running = useRef(false);
+
+  useEffect(() => {
+    latest.current = { client, userId, cipher, active, entries, setEntries, habits, setHabits };
+  });
+
+  const syncNow = useCallback(async () => {
+    const { client, userId, cipher, active, entries, habits, setEntries, setHabits } = latest.current;
+    if (!active || running.current) return;
+    running.current = true;
+    setState((s) => ({ ...s, running: true, error: null }));
+    try {
+      const result = await syncRecords({ client, userId, cipher, deviceId: getDeviceId(), local: { entries, habits }, state: loadSyncState(userId) });
+      const saved = { ...result.state, syncedAt: new Date().toISOString() };
+      saveSyncState(userId, saved);
+      // Only what came in is applied, so edits made meanwhile survive.
+      if (result.entries !== entries) setEntries((current) => mergeIncoming(current, entries, result.entries));
+      if (result.habits !== habits) setHabits((current) => mergeIncoming(current, habits, result.habits));
+      setSynced({ userId, state: saved });
+      setState({ status: "synced", error: null, result: { pushed: result.pushed, pulled: result.pulled, conflicts: result.conflicts, unreadable: result.unreadable }, running: false });
+    } catch (e) {
+      console.error("record sync failed", e);
+      setState({ status: isNetworkError(e) ? "offline" : "error", error: e.message || String(e), result: null, running: false });
+    } finally {
+      running.current = false;
+    }
+  }, []);
+
+  // After the key changes: forget what was synced so every record is pushed
+  // again, encrypted with the new key, on the next round.
+  const reencryptAll = useCallback(() => {
+    const { userId } = latest.current;
+    if (!userId) return;
+    const saved = loadSyncState(userId);
+    const next = { ...saved, records: Object.fromEntries(Object.entries(saved.records).map(([key, meta]) => [key, { ...meta, hash: null }])) };
+    saveSyncState(userId, next);
+    setSynced({ userId, state: next });
+  }, []);
+
+  const base = useMemo(() => (synced.userId === userId ? synced.state : userId ? loadSyncState(userId) : null), [synced, userId]);
+  const pending = useMemo(() => (active && base ? localChanges({ entries, habits }, base, "").size : 0), [active, base, entries, habits]);
+
+  useEffect(() => {
+    if (active && online) syncNow();
+  }, [active, online, userId, syncNow]);
+
+  useEffect(() => {
+    if (!active || !online || !pending) return;
+    const timer = setTimeout(syncNow, SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [active, online, pending, entries, habits, syncNow]);
+
+  useEffect(() => {
+    if (!active || !online) return;
+    const timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [active, online, syncNow]);
+
+  const status = !active ? "off" : !online ? "offline" : state.running ? "syncing" : state.status;
+  return {
+    status,
+    lastSyncedAt: base?.syncedAt || null,
+    error: state.error,
+    pending,
+    result: state.result,
+    syncNow,
+    reencryptAll,
+  };
+}
+
+// Applies the difference between `before` and `after` (what a sync changed)
+// to `current`.
+function mergeIncoming(current, before, after) {
+  const old = new Map(before.map((r) => [r.id, r]));
+  const kept = new Set(after.map((r) => r.id));
+  const put = after.filter((r) => old.get(r.id) !== r);
+  const remove = before.filter((r) => !kept.has(r.id)).map((r) => r.id);
+  return applyChanges(current, put, remove);
+}
@@ -0,0 +1,162 @@
+import { describe, expect, it } from "vitest";
+import { createMockSupabase } from "./mockSupabase";
+import { emptySyncState, syncRecords } from "./recordSync";
+
+const USER = "user-1";
+
+// Reversible stand-in for envelopeCipher(), so rows stay readable in asserts.
+const cipher = {
+  encrypt: async (text) => `sealed:${text}`,
+  decrypt: async (text) => {
+    if (!text.startsWith("sealed:")) throw new Error("not sealed");
+    return text.slice("sealed:".length);
+  },
+};
+
+// A server clock that moves one second per write. All rows of one write get
+// the same synced_at, as with the trigger's now().
+function setup() {
+  let t = Date.parse("2026-10-01T00:00:00Z");
+  const client = createMockSupabase({ now: () => new Date((t += 1000)) });
+  return { client, rows: () => client.tables.get("encrypted_records") || [] };
+}
+
+function device(client, deviceId, local = {}) {
+  const d = {
+    cipher,
+    local: { entries: [], habits: [], ...local },
+    state: emptySyncState(),
+    async sync(now) {
+      const result = await syncRecords({ client, userId: USER, cipher: d.cipher, deviceId, local: d.local, state: d.state, now });
+      d.local = { entries: result.entries, habits: result.habits };
+      d.state = result.state;
+      return result;
+    },
+  };
+  return d;
+}
+
+function entry(id, date, fields = {}) {
+  return { id, date, plannedTasks: 1, completedTasks: 0, tasksNotes: "", wins: "", challenges: "", mood: 3, tags: [], minutesFocused: 0, createdAt: `${date}T08:00:00.000Z`, ...fields };
+}
+
+function habit(id, fields = {}) {
+  return { id, name: "Read", schedule: { type: "daily" }, archived: false, completions: {}, createdAt: "2026-09-01T00:00:00.000Z", updatedAt: "2026-09-01T00:00:00.000Z", deletedAt: null, ...fields };
+}
+
+describe("syncRecords", () => {
+  it("resolves an entry edited on two devices the same way on both", async () => {
+    const { client } = setup();
+    const a = device(client, "device-a", { entries: [entry("e1", "2026-10-01")] });
+    const b = device(client, "device-b");
+    await a.sync("2026-10-01T09:00:00.000Z");
+    await b.sync("2026-10-01T09:01:00.000Z");
+    expect(b.local.entries.map((e) => e.id)).toEqual(["e1"]);
+
+    a.local.entries = [{ ...a.local.entries[0], wins: "from a" }];
+    b.local.entries = [{ ...b.local.entries[0], wins: "from b" }];
+    await a.sync("2026-10-01T10:00:00.000Z");
+    // Same version number on both sides; b's later edit wins.
+    const result = await b.sync("2026-10-01T10:05:00.000Z");
+    expect(result.conflicts).toBe(1);
+    expect(b.local.entries[0].wins).toBe("from b");
+
+    await a.sync("2026-10-01T10:10:00.000Z");
+    expect(a.local.entries[0].wins).toBe("from b");
+    expect((await a.sync("2026-10-01T10:15:00.000Z")).pushed).toBe(0);
+    expect((await b.sync("2026-10-01T10:15:00.000Z")).pulled).toBe(0);
+  });
+
+  it("propagates a delete as a tombstone without a payload", async () => {
+    const { client, rows } = setup();
+    const a = device(client, "device-a", { entries: [entry("e1", "2026-10-01"), entry("e2", "2026-10-02")] });
+    const b = device(client, "device-b");
+    await a.sync("2026-10-02T09:00:00.000Z");
+    await b.sync("2026-10-02T09:01:00.000Z");
+
+    a.local.entries = a.local.entries.filter((e) => e.id !== "e1");
+    expect((await a.sync("2026-10-02T10:00:00.000Z")).pushed).toBe(1);
+    const tombstone = rows().find((r) => r.id === "entries:e1");
+    expect(tombstone).toMatchObject({ deleted: true, payload: null, version: 2 });
+
+    await b.sync("2026-10-02T10:01:00.000Z");
+    expect(b.local.entries.map((e) => e.id)).toEqual(["e2"]);
+    // The tombstone is remembered, so the record is not pushed back.
+    expect((await b.sync("2026-10-02T10:02:00.000Z")).pushed).toBe(0);
+  });
+
+  it("merges a habit changed on both devices field by field", async () => {
+    const { client } = setup();
+    const a = device(client, "device-a", { habits: [habit("h1")] });
+    const b = device(client, "device-b");
+    await a.sync("2026-10-03T09:00:00.000Z");
+    await b.sync("2026-10-03T09:01:00.000Z");
+
+    a.local.habits = [{ ...a.local.habits[0], name: "Read 20 pages", updatedAt: "2026-10-03T10:00:00.000Z" }];
+    b.local.habits = [{ ...b.local.habits[0], completions: { "2026-10-03": { done: true, at: "2026-10-03T10:01:00.000Z" } } }];
+    await a.sync("2026-10-03T10:00:00.000Z");
+    const result = await b.sync("2026-10-03T10:01:00.000Z");
+    expect(result.conflicts).toBe(1);
+    await a.sync("2026-10-03T10:02:00.000Z");
+
+    for (const d of [a, b]) {
+      expect(d.local.habits).toHaveLength(1);
+      expect(d.local.habits[0].name).toBe("Read 20 pages");
+      expect(d.local.habits[0].completions["2026-10-03"]).toMatchObject({ done: true });
+    }
+  });
+
+  it("pulls more than a page of rows written at the same time, then only what is new", async () => {
+    const { client, rows } = setup();
+    const entries = Array.from({ length: 1201 }, (_, i) => entry(`e${i}`, "2026-10-04", { wins: `win ${i}` }));
+    const a = device(client, "device-a", { entries });
+    const b = device(client, "device-b");
+    expect((await a.sync("2026-10-04T09:00:00.000Z")).pushed).toBe(1201);
+    expect(new Set(rows().map((r) => r.synced_at)).size).toBe(1);
+
+    expect((await b.sync("2026-10-04T09:01:00.000Z")).pulled).toBe(1201);
+    expect(b.local.entries).toHaveLength(1201);
+    const cursor = b.state.cursor;
+    expect((await b.sync("2026-10-04T09:02:00.000Z")).pulled).toBe(0);
+
+    a.local.entries = [entry("new", "2026-10-05"), ...a.local.entries];
+    await a.sync("2026-10-05T09:00:00.000Z");
+    const result = await b.sync("2026-10-05T09:01:00.000Z");
+    expect(result.pulled).toBe(1);
+    expect(b.state.cursor.at > cursor.at).toBe(true);
+    expect(b.local.entries[0].id).toBe("new");
+  });
+
+  it("skips rows it cannot decrypt and tries them again later", async () => {
+    const { client } = setup();
+    const rekeyed = {
+      encrypt: async (text) => `rekeyed:${text}`,
+      decrypt: async (text) => (text.startsWith("rekeyed:") ? text.slice("rekeyed:".length) : cipher.decrypt(text)),
+    };
+    const a = device(client, "device-a", { entries: [entry("e1", "2026-10-06")] });
+    const b = device(client, "device-b");
+    await a.sync("2026-10-06T09:00:00.000Z");
+    await b.sync("2026-10-06T09:01:00.000Z");
+
+    // a has a new key that b does not have yet; b edits the same entry.
+    a.cipher = rekeyed;
+    a.local.entries = [{ ...a.local.entries[0], wins: "from a" }, entry("e2", "2026-10-07")];
+    await a.sync("2026-10-06T10:00:00.000Z");
+    b.local.entries = [{ ...b.local.entries[0], wins: "from b" }];
+    const c = device(client, "device-c", { entries: [entry("e3", "2026-10-08")] });
+    await c.sync("2026-10-06T10:01:00.000Z");
+
+    const stuck = await b.sync("2026-10-06T10:02:00.000Z");
+    expect(stuck.unreadable).toBe(2);
+    expect(stuck.pushed).toBe(0);
+    expect(b.local.entries.map((e) => e.id).sort()).toEqual(["e1", "e3"]);
+
+    // Once b has the key, the skipped rows come in and the conflict resolves.
+    b.cipher = rekeyed;
+    const caughtUp = await b.sync("2026-10-06T10:03:00.000Z");
+    expect(caughtUp.unreadable).toBe(0);
+    expect(caughtUp.conflicts).toBe(1);
+    expect(b.local.entries.map((e) => e.id).sort()).toEqual(["e1", "e2", "e3"]);
+    expect(b.local.entries.find((e) => e.id === "e1").wins).toBe("from b");
+  });
+});
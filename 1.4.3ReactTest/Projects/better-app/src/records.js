@@ -0,0 +1,35 @@
+// src/records.js
+// Diff and merge helpers for lists of records keyed by `id` (entries, habits).
+
+// Records are replaced, never mutated, so a changed reference means the
+// record needs writing.
+export function diffById(prev, next) {
+  const before = new Map(prev.map((e) => [e.id, e]));
+  const after = new Set(next.map((e) => e.id));
+  return {
+    put: next.filter((e) => before.get(e.id) !== e),
+    remove: prev.filter((e) => !after.has(e.id)).map((e) => e.id),
+  };
+}
+
+// Apply put/remove changes to a list by id; new records go first.
+export function applyChanges(list, put, remove) {
+  const removed = new Set(remove);
+  const updates = new Map(put.map((e) => [e.id, e]));
+  const existing = new Set(list.map((e) => e.id));
+  const kept = list.filter((e) => !removed.has(e.id)).map((e) => updates.get(e.id) || e);
+  return [...put.filter((e) => !existing.has(e.id) && !removed.has(e.id)), ...kept];
+}
+
+// JSON with object keys sorted, so equal records serialize identically.
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
@@ -0,0 +1,111 @@
+// src/reminders.js
+// Reminder settings and the page side of public/sw.js. The worker decides
+// when to notify; this module keeps it fed with the settings and the dates
+// that already have an entry, and nudges it every minute while the app is
+// open.
+
+import { useEffect, useState } from "react";
+import { addDays, localToday } from "./dates";
+import { registerServiceWorker } from "./pwa";
+
+const SETTINGS_KEY = "dpt_reminders";
+const PERIODIC_TAG = "dpt-reminders";
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+export const REMINDER_KINDS = {
+  log: "Log today (skipped once today has an entry)",
+  review: "Weekly review",
+};
+
+export const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  snoozeMinutes: 30,
+  quietHours: { enabled: false, start: "22:30", end: "07:00" },
+  reminders: [
+    { id: "log", kind: "log", time: "21:00", days: [0, 1, 2, 3, 4, 5, 6], enabled: true },
+    { id: "review", kind: "review", time: "18:00", days: [0], enabled: true },
+  ],
+};
+
+export function newReminder(kind = "log") {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    kind,
+    time: kind === "review" ? "18:00" : "21:00",
+    days: kind === "review" ? [0] : [0, 1, 2, 3, 4, 5, 6],
+    enabled: true,
+  };
+}
+
+export function loadReminderSettings() {
+  try {
+    return { ...DEFAULT_REMINDER_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}") };
+  } catch (e) {
+    console.error("failed to parse reminder settings", e);
+    return DEFAULT_REMINDER_SETTINGS;
+  }
+}
+
+export function saveReminderSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function remindersSupported() {
+  return typeof navigator !== "undefined" && "serviceWorker" in navigator && typeof Notification !== "undefined";
+}
+
+// Next time `reminder` is scheduled after `now`, for display.
+export function nextOccurrence(reminder, now = new Date()) {
+  if (!reminder.days.length) return null;
+  const [h, m] = reminder.time.split(":").map(Number);
+  for (let ahead = 0; ahead <= 7; ahead++) {
+    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + ahead, h, m);
+    if (d > now && reminder.days.includes(d.getDay())) return d;
+  }
+  return null;
+}
+
+// Registers the worker and keeps it up to date with `settings` and which of
+// today/yesterday have entries. Returns { supported, permission,
+// requestPermission, error }.
+export function useReminders(settings, entries) {
+  const supported = remindersSupported();
+  const [permission, setPermission] = useState(() => (supported ? Notification.permission : "unsupported"));
+  const [registration, setRegistration] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!supported || !settings.enabled) return;
+    registerServiceWorker()
+      .then(setRegistration)
+      .catch((e) => setError(`Could not start reminders: ${e.message}`));
+  }, [supported, settings.enabled]);
+
+  const today = localToday();
+  const loggedDates = [today, addDays(today, -1)].filter((d) => entries.some((e) => e.date === d && !e.deletedAt));
+  const loggedKey = loggedDates.join(",");
+
+  useEffect(() => {
+    if (!registration?.active) return;
+    registration.active.postMessage({ type: "reminders:sync", config: { ...settings, loggedDates: loggedKey ? loggedKey.split(",") : [] } });
+  }, [registration, settings, loggedKey]);
+
+  useEffect(() => {
+    if (!registration?.active || !settings.enabled) return;
+    // Lets installed apps check while closed; not all browsers allow it.
+    registration.periodicSync?.register(PERIODIC_TAG, { minInterval: 15 * 60 * 1000 }).catch(() => {});
+    const timer = setInterval(() => registration.active?.postMessage({ type: "reminders:check" }), CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [registration, settings.enabled]);
+
+  async function requestPermission() {
+    if (!supported) return "unsupported";
+    const result = await Notification.requestPermission();
+    setPermission(result);
+    return result;
+  }
+
+  return { supported, permission, requestPermission, error };
+}
@@ -0,0 +1,234 @@
+// src/report.js
+// Period reports: summary numbers compared with the previous period of the
+// same length, top tags, highlighted wins and challenges and insights, with
+// Markdown, standalone HTML and print (save as PDF) output. Everything is
+// generated in the browser.
+
+import { summarize } from "./analytics";
+import { addDays, eachDay, isValidDate, localToday, periodRange } from "./dates";
+import { computeInsights } from "./insights";
+
+export const REPORT_PERIODS = {
+  thisWeek: "This week",
+  lastWeek: "Last week",
+  last7: "Last 7 days",
+  thisMonth: "This month",
+  lastMonth: "Last month",
+  last30: "Last 30 days",
+  custom: "Custom",
+};
+
+const COMPARED = [
+  { key: "days", label: "Days logged" },
+  { key: "totalCompleted", label: "Completed tasks" },
+  { key: "totalPlanned", label: "Planned tasks" },
+  { key: "successRate", label: "Success rate", unit: "%" },
+  { key: "avgMood", label: "Avg mood" },
+  { key: "totalFocus", label: "Focused minutes" },
+];
+
+const HIGHLIGHTS = 5;
+const SPARKS = "▁▂▃▄▅▆▇█";
+
+// { from, to } for a REPORT_PERIODS key.
+export function reportRange(key, custom = {}, today = localToday()) {
+  switch (key) {
+    case "thisWeek":
+      return { from: periodRange("week", today).from, to: today };
+    case "lastWeek":
+      return periodRange("week", addDays(periodRange("week", today).from, -1));
+    case "thisMonth":
+      return { from: periodRange("month", today).from, to: today };
+    case "lastMonth":
+      return periodRange("month", addDays(periodRange("month", today).from, -1));
+    case "last30":
+      return { from: addDays(today, -29), to: today };
+    case "custom": {
+      const from = isValidDate(custom.from) ? custom.from : today;
+      const to = isValidDate(custom.to) ? custom.to : today;
+      return from <= to ? { from, to } : { from: to, to: from };
+    }
+    default:
+      return { from: addDays(today, -6), to: today };
+  }
+}
+
+export function buildReport(entries, range, title = "Progress report") {
+  const length = eachDay(range.from, range.to).length;
+  const previousRange = { from: addDays(range.from, -length), to: addDays(range.from, -1) };
+  const summary = summarize(entries, range);
+  const previous = summarize(entries, previousRange);
+  const selected = entries.filter((e) => e.date >= range.from && e.date <= range.to).sort((a, b) => a.date.localeCompare(b.date));
+
+  const highlights = (field, order) =>
+    selected
+      .filter((e) => (e[field] || "").trim())
+      .sort((a, b) => order * ((Number(b.mood) || 0) - (Number(a.mood) || 0)) || b.date.localeCompare(a.date))
+      .slice(0, HIGHLIGHTS)
+      .map((e) => ({ date: e.date, text: e[field].trim() }));
+
+  return {
+    title,
+    range,
+    previousRange,
+    generatedAt: new Date().toISOString(),
+    summary,
+    comparison: COMPARED.map(({ key, label, unit }) => ({
+      label,
+      unit: unit || "",
+      current: summary[key],
+      previous: previous[key],
+      delta: summary[key] === null || previous[key] === null ? null : +(summary[key] - previous[key]).toFixed(2),
+    })),
+    topTags: [...summary.tagData].sort((a, b) => b.value - a.value).slice(0, 5),
+    // best-mood days' wins, hardest days' challenges
+    wins: highlights("wins", 1),
+    challenges: highlights("challenges", -1),
+    insights: computeInsights(entries, range),
+    entries: selected,
+  };
+}
+
+export function reportToMarkdown(report) {
+  const lines = [
+    `# ${report.title}`,
+    "",
+    `_${report.range.from} – ${report.range.to}, compared with ${report.previousRange.from} – ${report.previousRange.to}_`,
+    "",
+    "## Summary",
+    "",
+    "| | This period | Previous | Change |",
+    "| --- | --- | --- | --- |",
+    ...report.comparison.map((c) => `| ${c.label} | ${show(c.current, c.unit)} | ${show(c.previous, c.unit)} | ${showDelta(c.delta, c.unit)} |`),
+    "",
+    "## Completed tasks per day",
+    "",
+    "`" + sparkline(report.summary.trend.map((d) => d.completed)) + "`",
+    "",
+    "## Top tags",
+    "",
+    ...list(report.topTags.map((t) => `${t.name} (${t.value})`)),
+    "",
+    "## Wins",
+    "",
+    ...list(report.wins.map((w) => `**${w.date}** ${w.text}`)),
+    "",
+    "## Challenges",
+    "",
+    ...list(report.challenges.map((c) => `**${c.date}** ${c.text}`)),
+    "",
+    "## Insights",
+    "",
+    ...list(report.insights.map((i) => `${i.text} _(${i.evidence})_`)),
+    "",
+  ];
+  return lines.join("\n");
+}
+
+// A standalone HTML page, also used for printing.
+export function reportToHTML(report) {
+  const rows = report.comparison
+    .map((c) => `<tr><th>${esc(c.label)}</th><td>${esc(show(c.current, c.unit))}</td><td>${esc(show(c.previous, c.unit))}</td><td>${esc(showDelta(c.delta, c.unit))}</td></tr>`)
+    .join("");
+  const items = (values) => (values.length ? `<ul>${values.map((v) => `<li>${v}</li>`).join("")}</ul>` : "<p class=\"muted\">None.</p>");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(report.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111827; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0; }
+  .muted { color: #6b7280; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; }
+  .chart { margin: 0.5rem 0; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${esc(report.title)}</h1>
+<p class="muted">${report.range.from} – ${report.range.to}, compared with ${report.previousRange.from} – ${report.previousRange.to}</p>
+<h2>Summary</h2>
+<table><thead><tr><th></th><th>This period</th><th>Previous</th><th>Change</th></tr></thead><tbody>${rows}</tbody></table>
+<h2>Completed tasks per day</h2>
+<div class="chart">${barChartSVG(report.summary.trend)}</div>
+<h2>Top tags</h2>
+${items(report.topTags.map((t) => `${esc(t.name)} (${t.value})`))}
+<h2>Wins</h2>
+${items(report.wins.map((w) => `<strong>${w.date}</strong> ${esc(w.text)}`))}
+<h2>Challenges</h2>
+${items(report.challenges.map((c) => `<strong>${c.date}</strong> ${esc(c.text)}`))}
+<h2>Insights</h2>
+${items(report.insights.map((i) => `${esc(i.text)} <span class="muted">(${esc(i.evidence)})</span>`))}
+<p class="muted">Generated ${new Date(report.generatedAt).toLocaleString()}</p>
+</body>
+</html>
+`;
+}
+
+// Open the browser's print dialog for the report (choose "Save as PDF" to
+// get a file).
+export function printReport(report) {
+  printHTML(reportToHTML(report));
+}
+
+// Prints a standalone HTML page from a hidden iframe, so popup blockers don't
+// interfere.
+export function printHTML(html) {
+  const frame = document.createElement("iframe");
+  frame.style.position = "fixed";
+  frame.style.width = "0";
+  frame.style.height = "0";
+  frame.style.border = "0";
+  frame.srcdoc = html;
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  document.body.appendChild(frame);
+}
+
+export function reportFilename(report, extension) {
+  return `report-${report.range.from}-to-${report.range.to}.${extension}`;
+}
+
+function barChartSVG(series) {
+  const width = 720;
+  const height = 120;
+  const max = Math.max(1, ...series.map((d) => d.completed));
+  const step = width / Math.max(1, series.length);
+  const bars = series
+    .map((d, i) => {
+      const h = Math.round((d.completed / max) * (height - 20));
+      return `<rect x="${(i * step + 1).toFixed(1)}" y="${height - 16 - h}" width="${Math.max(1, step - 2).toFixed(1)}" height="${h}" fill="#4ade80"><title>${d.date}: ${d.completed}</title></rect>`;
+    })
+    .join("");
+  const first = series[0]?.date || "";
+  const last = series[series.length - 1]?.date || "";
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Completed tasks per day">${bars}<text x="0" y="${height - 2}" font-size="11" fill="#6b7280">${first}</text><text x="${width}" y="${height - 2}" font-size="11" fill="#6b7280" text-anchor="end">${last}</text></svg>`;
+}
+
+function sparkline(values) {
+  const max = Math.max(0, ...values);
+  return values.map((v) => (max ? SPARKS[Math.round((v / max) * (SPARKS.length - 1))] : SPARKS[0])).join("");
+}
+
+function list(items) {
+  return items.length ? items.map((i) => `- ${i}`) : ["_None._"];
+}
+
+export function show(value, unit) {
+  return value === null || value === undefined ? "—" : `${value}${unit}`;
+}
+
+export function showDelta(delta, unit) {
+  if (delta === null) return "—";
+  // a change in a percentage is in points
+  return `${delta > 0 ? "+" : ""}${delta}${unit === "%" ? " pts" : unit}`;
+}
+
+export function esc(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
@@ -0,0 +1,206 @@
+// src/reportDelivery.js
+// Emailing reports. A transport is any object with
+//   name: string
+//   send({ to, subject, html, text }) -> Promise<{ id }>
+// Two are provided: an HTTP transport for an SMTP relay endpoint and an
+// in-memory mock for trying things out without sending mail. Delivery
+// settings (recipient, transport, weekly/monthly schedule) are saved per user.
+
+import { useEffect, useRef } from "react";
+import { buildReport, esc, reportRange, reportToMarkdown, show, showDelta } from "./report";
+import { localToday } from "./dates";
+
+const SETTINGS_KEY = "dpt_report_delivery";
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export const DELIVERY_SCHEDULES = { off: "Off", weekly: "Weekly (last week's report)", monthly: "Monthly (last month's report)" };
+export const TRANSPORTS = { http: "SMTP relay (HTTP)", mock: "Mock (no email sent)" };
+
+// Period each schedule sends: the last complete week or month.
+const SCHEDULED_PERIODS = { weekly: "lastWeek", monthly: "lastMonth" };
+
+export const DEFAULT_DELIVERY_SETTINGS = {
+  to: "",
+  transport: "http",
+  endpoint: import.meta.env?.VITE_REPORT_MAIL_ENDPOINT || "",
+  schedule: "off",
+  lastSent: null, // { period: { from, to }, at }
+};
+
+export class DeliveryError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "DeliveryError";
+    this.status = status;
+  }
+}
+
+/* ----------------- transports ----------------- */
+
+// Posts the message as JSON to `endpoint`, a relay that hands it to an SMTP
+// server: { from, to, subject, html, text } -> 2xx with { id }. The relay
+// should check the bearer token (e.g. the Supabase session's access token)
+// rather than the browser holding SMTP credentials.
+export function createHttpSmtpTransport({ endpoint, from = "", getAuthToken = async () => null, fetchImpl = fetch }) {
+  return {
+    name: "http",
+    async send(message) {
+      if (!endpoint) throw new DeliveryError("No mail relay endpoint configured.");
+      const token = await getAuthToken();
+      let res;
+      try {
+        res = await fetchImpl(endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+          body: JSON.stringify({ from, ...message }),
+        });
+      } catch (e) {
+        throw new DeliveryError(`Could not reach the mail relay: ${e.message}`);
+      }
+      if (!res.ok) {
+        const detail = await res.text().catch(() => "");
+        throw new DeliveryError(`Mail relay answered ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ""}`, res.status);
+      }
+      const body = await res.json().catch(() => ({}));
+      return { id: body.id || null };
+    },
+  };
+}
+
+// Keeps sent messages in its `outbox` (newest last) instead of mailing them.
+// `fail` makes every send reject, for exercising error handling.
+export function createMockTransport({ fail = false } = {}) {
+  const outbox = [];
+  return {
+    name: "mock",
+    outbox,
+    async send(message) {
+      if (fail) throw new DeliveryError("Mock transport set to fail.");
+      const id = `mock-${outbox.length + 1}`;
+      outbox.push({ id, at: new Date().toISOString(), ...message });
+      return { id };
+    },
+  };
+}
+
+/* ----------------- settings ----------------- */
+
+export function loadDeliverySettings(userId) {
+  try {
+    return { ...DEFAULT_DELIVERY_SETTINGS, ...JSON.parse(localStorage.getItem(settingsKey(userId)) || "{}") };
+  } catch (e) {
+    console.error("failed to parse report delivery settings", e);
+    return DEFAULT_DELIVERY_SETTINGS;
+  }
+}
+
+export function saveDeliverySettings(userId, settings) {
+  localStorage.setItem(settingsKey(userId), JSON.stringify(settings));
+}
+
+/* ----------------- sending ----------------- */
+
+// Subject, HTML and plain-text bodies for a report. The HTML uses tables and
+// inline styles so it survives email clients.
+export function renderReportEmail(report) {
+  const cell = "padding:8px;border:1px solid #e5e7eb;border-radius:6px;vertical-align:top;width:33%";
+  const stats = [];
+  for (let i = 0; i < report.comparison.length; i += 3) {
+    stats.push(
+      `<tr>${report.comparison
+        .slice(i, i + 3)
+        .map((c) => {
+          const color = c.delta > 0 ? "#15803d" : c.delta < 0 ? "#dc2626" : "#6b7280";
+          return `<td style="${cell}"><div style="font-size:12px;color:#6b7280">${esc(c.label)}</div><div style="font-size:18px;font-weight:600">${esc(show(c.current, c.unit))}</div><div style="font-size:12px;color:${color}">${esc(c.delta === null ? "no previous data" : `${showDelta(c.delta, c.unit)} vs previous`)}</div></td>`;
+        })
+        .join("")}</tr>`
+    );
+  }
+
+  const max = Math.max(1, ...report.summary.trend.map((d) => d.completed));
+  const bars = report.summary.trend
+    .map((d) => `<td style="vertical-align:bottom;padding:0 1px" title="${d.date}: ${d.completed}"><div style="background:#4ade80;height:${Math.round((d.completed / max) * 60)}px;min-height:1px"></div></td>`)
+    .join("");
+
+  const section = (title, color, items) =>
+    `<h3 style="font-size:14px;margin:16px 0 4px;color:${color}">${title}</h3>` +
+    (items.length
+      ? `<ul style="margin:0;padding-left:18px;font-size:14px">${items.map((i) => `<li>${i}</li>`).join("")}</ul>`
+      : `<p style="margin:0;font-size:14px;color:#6b7280">None.</p>`);
+
+  const html = `<!doctype html>
+<html><body style="margin:0;padding:16px;background:#f9fafb;font-family:system-ui,sans-serif;color:#111827">
+<table role="presentation" width="100%" style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:12px;padding:16px">
+<tr><td>
+<h2 style="margin:0">${esc(report.title)}</h2>
+<div style="font-size:12px;color:#6b7280">${report.range.from} – ${report.range.to}, compared with ${report.previousRange.from} – ${report.previousRange.to}</div>
+<table role="presentation" width="100%" style="margin-top:12px;border-collapse:separate;border-spacing:6px">${stats.join("")}</table>
+<h3 style="font-size:14px;margin:16px 0 4px">Completed tasks per day</h3>
+<table role="presentation" width="100%" style="height:64px;table-layout:fixed"><tr>${bars}</tr></table>
+${section("Top tags", "#111827", report.topTags.map((t) => `${esc(t.name)} • ${t.value}`))}
+${section("Wins", "#15803d", report.wins.map((w) => `<span style="color:#6b7280;font-size:12px">${w.date}</span> ${esc(w.text)}`))}
+${section("Challenges", "#dc2626", report.challenges.map((c) => `<span style="color:#6b7280;font-size:12px">${c.date}</span> ${esc(c.text)}`))}
+${section("Insights", "#111827", report.insights.map((i) => `${esc(i.text)} <span style="color:#6b7280">(${esc(i.evidence)})</span>`))}
+</td></tr>
+</table>
+</body></html>
+`;
+  return { subject: `${report.title}: ${report.range.from} – ${report.range.to}`, html, text: reportToMarkdown(report) };
+}
+
+export async function sendReport(report, to, transport) {
+  if (!to) throw new DeliveryError("Add a recipient email address first.");
+  return transport.send({ to, ...renderReportEmail(report) });
+}
+
+// The scheduled period that has not been sent yet, or null. Weekly reports
+// cover the last full week and monthly ones the last full month, so each is
+// due from the first day of the following period.
+export function dueReportRange(settings, today = localToday()) {
+  const period = SCHEDULED_PERIODS[settings.schedule];
+  if (!period || !settings.to) return null;
+  const range = reportRange(period, {}, today);
+  const last = settings.lastSent?.period;
+  return last && last.from === range.from && last.to === range.to ? null : range;
+}
+
+// While the app is open, send the scheduled report when one is due (checked
+// on start and hourly). Settings are re-read from storage and the period is
+// marked as sent before sending, so several open tabs send it only once; a
+// failed send is unmarked and retried at the next check. `onChange(settings)`
+// receives the updated settings and `onError(error)` a failed attempt.
+export function useScheduledReports({ userId, entries, ready, schedule, transport, onChange, onError }) {
+  const latest = useRef({ entries, transport, onChange, onError });
+
+  useEffect(() => {
+    latest.current = { entries, transport, onChange, onError };
+  });
+
+  useEffect(() => {
+    if (!ready || schedule === "off") return;
+    async function check() {
+      const { entries, transport, onChange, onError } = latest.current;
+      const settings = loadDeliverySettings(userId);
+      const range = dueReportRange(settings);
+      if (!range) return;
+      const claimed = { ...settings, lastSent: { period: range, at: new Date().toISOString() } };
+      saveDeliverySettings(userId, claimed);
+      onChange(claimed);
+      try {
+        const title = settings.schedule === "weekly" ? "Weekly report" : "Monthly report";
+        await sendReport(buildReport(entries, range, title), settings.to, transport);
+      } catch (e) {
+        saveDeliverySettings(userId, settings);
+        onChange(settings);
+        onError(e);
+      }
+    }
+    check();
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [userId, ready, schedule]);
+}
+
+function settingsKey(userId) {
+  return `${SETTINGS_KEY}:${userId || "local"}`;
+}
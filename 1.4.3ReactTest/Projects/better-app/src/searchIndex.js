@@ -0,0 +1,186 @@
+// src/searchIndex.js
+// In-browser full-text index over entry notes, wins, challenges, tags and
+// task titles. Words are lower-cased and lightly stemmed; query words match
+// any indexed term they are a prefix of. Results are ranked with BM25.
+
+import { useMemo, useRef } from "react";
+import { diffById } from "./records";
+
+// Field weights: a hit in a tag says more than one in free-form notes.
+const FIELDS = {
+  tags: { weight: 3, get: (e) => (e.tags || []).join(" ") },
+  wins: { weight: 2, get: (e) => e.wins },
+  challenges: { weight: 1.5, get: (e) => e.challenges },
+  tasksNotes: { weight: 1, get: (e) => e.tasksNotes },
+  tasks: { weight: 1, get: (e) => (e.tasks || []).map((t) => t.title).join(" ") },
+};
+
+const STOP_WORDS = new Set("a an and are as at be but by for from had has have i in is it its of on or so that the this to was were will with".split(" "));
+const K1 = 1.2;
+const B = 0.75;
+const WORD_RE = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+
+// Conservative suffix stripping in three steps (plurals, -ing/-ed, derivational
+// endings), enough to join "shipping"/"shipped"/"ships".
+const STEM_STEPS = [
+  [
+    [/ies$/, "y"],
+    [/sses$/, "ss"],
+    [/([^su])s$/, "$1"],
+  ],
+  [
+    [/eed$/, "ee"],
+    [/([aeiouy].*)(ing|ed)$/, "$1"],
+  ],
+  [
+    [/([aeiouy].*)(ment|ness|ful|less|ly)$/, "$1"],
+    [/([aeiouy].*)(ation|ator)$/, "$1ate"],
+  ],
+];
+
+export function stem(word) {
+  let w = word.toLowerCase().replace(/['’]s$/, "");
+  if (w.length <= 3) return w;
+  STEM_STEPS.forEach((rules) => {
+    const rule = rules.find(([re]) => re.test(w));
+    if (rule && w.replace(rule[0], rule[1]).length >= 3) w = w.replace(rule[0], rule[1]);
+  });
+  // "shipp" -> "ship", "runn" -> "run"
+  if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+// Word stems of `text`, without stop words.
+export function analyze(text) {
+  return (String(text || "").match(WORD_RE) || []).map((w) => w.toLowerCase()).filter((w) => !STOP_WORDS.has(w)).map(stem);
+}
+
+export function createSearchIndex() {
+  const postings = new Map(); // term -> Map(id -> weighted term frequency)
+  const docs = new Map(); // id -> { length, terms: Set }
+  let totalLength = 0;
+
+  function add(entry) {
+    const counts = new Map();
+    let length = 0;
+    Object.values(FIELDS).forEach(({ weight, get }) => {
+      analyze(get(entry)).forEach((term) => {
+        counts.set(term, (counts.get(term) || 0) + weight);
+        length++;
+      });
+    });
+    counts.forEach((tf, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(entry.id, tf);
+    });
+    docs.set(entry.id, { length, terms: new Set(counts.keys()) });
+    totalLength += length;
+  }
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    doc.terms.forEach((term) => {
+      const list = postings.get(term);
+      list.delete(id);
+      if (!list.size) postings.delete(term);
+    });
+    totalLength -= doc.length;
+    docs.delete(id);
+  }
+
+  // Indexed terms that a query stem matches (exact or as a prefix).
+  function expand(queryStem) {
+    const terms = [];
+    postings.forEach((_, term) => {
+      if (term.startsWith(queryStem)) terms.push(term);
+    });
+    return terms;
+  }
+
+  return {
+    add,
+    remove,
+    update(entry) {
+      remove(entry.id);
+      add(entry);
+    },
+    get size() {
+      return docs.size;
+    },
+
+    // True when the entry contains every word of `text` (prefixes allowed).
+    matches(id, text) {
+      const doc = docs.get(id);
+      if (!doc) return false;
+      return analyze(text).every((q) => [...doc.terms].some((t) => t.startsWith(q)));
+    },
+
+    // Map of id -> relevance score for entries matching all words of `text`.
+    search(text) {
+      const queryStems = [...new Set(analyze(text))];
+      const scores = new Map();
+      if (!queryStems.length || !docs.size) return scores;
+      const avgLength = totalLength / docs.size || 1;
+
+      queryStems.forEach((q, i) => {
+        const hits = new Map();
+        expand(q).forEach((term) => {
+          const list = postings.get(term);
+          const idf = Math.log(1 + (docs.size - list.size + 0.5) / (list.size + 0.5));
+          // exact matches rank above prefix matches
+          const boost = term === q ? 1 : 0.7;
+          list.forEach((tf, id) => {
+            const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + (B * docs.get(id).length) / avgLength));
+            hits.set(id, Math.max(hits.get(id) || 0, idf * norm * boost));
+          });
+        });
+        if (i === 0) hits.forEach((score, id) => scores.set(id, score));
+        else {
+          scores.forEach((score, id) => {
+            if (hits.has(id)) scores.set(id, score + hits.get(id));
+            else scores.delete(id);
+          });
+        }
+      });
+      return scores;
+    },
+  };
+}
+
+// Split `text` into [{ text, match }] segments, marking words that a query
+// word matches the same way the index does.
+export function highlightSegments(text, words) {
+  const source = String(text || "");
+  const stems = [...new Set(words.flatMap(analyze))];
+  if (!stems.length || !source) return [{ text: source, match: false }];
+
+  const segments = [];
+  let last = 0;
+  for (const m of source.matchAll(WORD_RE)) {
+    const s = stem(m[0]);
+    if (STOP_WORDS.has(m[0].toLowerCase()) || !stems.some((q) => s.startsWith(q))) continue;
+    if (m.index > last) segments.push({ text: source.slice(last, m.index), match: false });
+    segments.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < source.length) segments.push({ text: source.slice(last), match: false });
+  return segments;
+}
+
+// Keeps one index in sync with `entries`, applying only the entries that were
+// added, changed or removed since the previous render.
+export function useSearchIndex(entries) {
+  const indexRef = useRef(null);
+  const indexedRef = useRef([]);
+  if (!indexRef.current) indexRef.current = createSearchIndex();
+
+  return useMemo(() => {
+    const index = indexRef.current;
+    const { put, remove } = diffById(indexedRef.current, entries);
+    remove.forEach((id) => index.remove(id));
+    put.forEach((e) => index.update(e));
+    indexedRef.current = entries;
+    return index;
+  }, [entries]);
+}
@@ -0,0 +1,285 @@
+// src/storage.js
+// Versioned localStorage layer: schema version, ordered migrations,
+// record validation/repair and a pre-migration snapshot for rollback.
+
+import { toLocalDate } from "./dates";
+
+export const KEYS = {
+  schema: "dpt_schema_version",
+  entries: "dpt_v2_local",
+  habits: "dpt_habits",
+  mode: "dpt_mode",
+  snapshot: "dpt_pre_migration_snapshot",
+  paused: "dpt_migrations_paused",
+  corrupt: "dpt_corrupt_backup",
+  // "indexedDB" once entries have moved out of localStorage (persistence.js)
+  entriesBackend: "dpt_entries_backend",
+};
+
+export const LEGACY_KEYS = {
+  v1Entries: "daily-progress-tracker-v1",
+};
+
+export const CURRENT_VERSION = 3;
+
+// Ordered list; each migration moves storage from `version - 1` to `version`.
+const MIGRATIONS = [
+  { version: 2, description: "Copied v1 journal entries into the v2 tracker", up: migrateV1ToV2 },
+  { version: 3, description: "Moved habit history to per-day completion records", up: migrateHabitsV3 },
+];
+
+const TRACKED_KEYS = [KEYS.schema, KEYS.entries, KEYS.habits, KEYS.mode, KEYS.entriesBackend, LEGACY_KEYS.v1Entries];
+
+// Work out which schema the stored data is in. Data written before versioning
+// existed is detected from the keys that are present.
+export function getSchemaVersion(storage = localStorage) {
+  const stored = Number(storage.getItem(KEYS.schema));
+  if (stored) return stored;
+  if (storage.getItem(KEYS.entries) !== null || storage.getItem(KEYS.habits) !== null) {
+    return storage.getItem(LEGACY_KEYS.v1Entries) !== null ? 1 : 2;
+  }
+  if (storage.getItem(LEGACY_KEYS.v1Entries) !== null) return 1;
+  return CURRENT_VERSION;
+}
+
+// Run every pending migration in order. A snapshot of the tracker keys is
+// kept first; if any step throws, storage is restored from it.
+export function runMigrations(storage = localStorage) {
+  const from = getSchemaVersion(storage);
+  const report = { from, to: from, applied: [], error: null, paused: false };
+
+  if (storage.getItem(KEYS.paused)) {
+    report.paused = true;
+    return report;
+  }
+
+  const pending = MIGRATIONS.filter((m) => m.version > from).sort((a, b) => a.version - b.version);
+  if (pending.length === 0) {
+    storage.setItem(KEYS.schema, String(from));
+    return report;
+  }
+
+  let snapshotTaken = false;
+  try {
+    takeSnapshot(storage, from);
+    snapshotTaken = true;
+    pending.forEach((m) => {
+      m.up(storage);
+      storage.setItem(KEYS.schema, String(m.version));
+      report.applied.push(m.description);
+      report.to = m.version;
+    });
+  } catch (e) {
+    // Without a new snapshot nothing was changed, and the old one (if any)
+    // belongs to an earlier migration, so there is nothing to restore.
+    if (snapshotTaken) restoreSnapshot(storage);
+    report.error = snapshotTaken ? e.message || String(e) : `Could not save a snapshot before migrating: ${e.message || e}`;
+    report.to = from;
+  }
+  return report;
+}
+
+export function getSnapshotInfo(storage = localStorage) {
+  const snapshot = readJSON(storage, KEYS.snapshot);
+  if (!snapshot) return null;
+  return { version: snapshot.version, takenAt: snapshot.takenAt, entriesBackend: snapshot.data?.[KEYS.entriesBackend] || "localStorage" };
+}
+
+// Put the tracker keys back the way they were before the last migration and
+// pause migrations so the restored data is not migrated again on next load.
+export function rollbackMigration(storage = localStorage) {
+  if (!restoreSnapshot(storage)) return false;
+  storage.setItem(KEYS.paused, "1");
+  return true;
+}
+
+export function resumeMigrations(storage = localStorage) {
+  storage.removeItem(KEYS.paused);
+}
+
+// Load and repair entries. Records that cannot be repaired are dropped; if the
+// whole value is unreadable it is kept under KEYS.corrupt instead of lost.
+export function loadEntries(storage = localStorage, key = KEYS.entries) {
+  return loadList(storage, key, repairEntry);
+}
+
+export function loadHabits(storage = localStorage) {
+  return loadList(storage, KEYS.habits, repairHabit);
+}
+
+export function saveEntries(entries, storage = localStorage) {
+  storage.setItem(KEYS.entries, JSON.stringify(entries));
+}
+
+export function saveHabits(habits, storage = localStorage) {
+  storage.setItem(KEYS.habits, JSON.stringify(habits));
+}
+
+// Migrate, then load everything the tracker needs. `notices` are messages
+// worth showing the user (applied migrations, repaired or dropped records).
+export function openStorage(storage = localStorage) {
+  const migration = runMigrations(storage);
+  const entries = loadEntries(storage);
+  const habits = loadHabits(storage);
+  const notices = [];
+
+  migration.applied.forEach((text) => notices.push(text + "."));
+  if (migration.error) notices.push(`Migration failed and was rolled back: ${migration.error}`);
+  if (migration.paused) notices.push("Migrations are paused after a rollback.");
+  [
+    ["journal entries", entries],
+    ["habits", habits],
+  ].forEach(([label, result]) => {
+    if (result.corrupt) notices.push(`Stored ${label} could not be read; the raw data was kept in "${KEYS.corrupt}".`);
+    if (result.repaired) notices.push(`Repaired ${result.repaired} malformed ${label}.`);
+    if (result.dropped) notices.push(`Dropped ${result.dropped} unreadable ${label}.`);
+  });
+
+  return { entries: entries.items, habits: habits.items, migration, notices };
+}
+
+export function repairEntry(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  const date = validDate(raw.date) || validDate(String(raw.createdAt || "").slice(0, 10));
+  if (!date) return null;
+
+  return {
+    ...raw,
+    id: raw.id !== undefined && raw.id !== null && raw.id !== "" ? String(raw.id) : `${Date.parse(raw.createdAt) || Date.now()}-${date}`,
+    date,
+    plannedTasks: count(raw.plannedTasks),
+    completedTasks: count(raw.completedTasks),
+    tasksNotes: text(raw.tasksNotes),
+    wins: text(raw.wins),
+    challenges: text(raw.challenges),
+    mood: Math.min(5, Math.max(1, Math.round(Number(raw.mood)) || 3)),
+    tags: toTags(raw.tags),
+    minutesFocused: count(raw.minutesFocused),
+    createdAt: isNaN(Date.parse(raw.createdAt)) ? new Date(date).toISOString() : raw.createdAt,
+  };
+}
+
+// Habits keep one record per day: completions[date] = { done, at }, where
+// `at` is when it was last set (see habitSync.js). Older habits had a list of
+// done dates (`history`) and rows fetched from the cloud only `last_completed`;
+// both become completions dated at the epoch so any real change wins.
+export function repairHabit(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  const name = text(raw.name).trim();
+  if (!name) return null;
+  const { history, streak: _streak, last_completed, created_at, updated_at, user_id: _userId, ...rest } = raw;
+
+  const completions = {};
+  const legacyDone = [...(Array.isArray(history) ? history : []), timestamp(last_completed) ? toLocalDate(new Date(last_completed)) : ""].filter(validDate);
+  legacyDone.forEach((date) => (completions[date] = { done: true, at: EPOCH }));
+  if (raw.completions && typeof raw.completions === "object") {
+    Object.entries(raw.completions).forEach(([date, c]) => {
+      if (validDate(date) && c && typeof c === "object") completions[date] = { done: Boolean(c.done), at: timestamp(c.at) || EPOCH };
+    });
+  }
+
+  const createdAt = timestamp(raw.createdAt) || timestamp(created_at) || EPOCH;
+  return {
+    ...rest,
+    id: raw.id !== undefined && raw.id !== null && raw.id !== "" ? String(raw.id) : `${Date.now()}-${name}`,
+    name,
+    schedule: raw.schedule && typeof raw.schedule === "object" ? raw.schedule : { type: "daily" },
+    archived: Boolean(raw.archived),
+    completions,
+    createdAt,
+    updatedAt: timestamp(raw.updatedAt) || timestamp(updated_at) || createdAt,
+    deletedAt: timestamp(raw.deletedAt) || null,
+  };
+}
+
+function migrateV1ToV2(storage) {
+  const legacy = loadEntries(storage, LEGACY_KEYS.v1Entries);
+  if (legacy.corrupt) throw new Error(`"${LEGACY_KEYS.v1Entries}" is not valid JSON`);
+  const current = loadEntries(storage, KEYS.entries);
+  const ids = new Set(current.items.map((e) => e.id));
+  // v1 keeps deleted entries in its trash; v2 has no trash, so leave them out.
+  const merged = [...current.items, ...legacy.items.filter((e) => !e.deletedAt && !ids.has(e.id))];
+  merged.sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || "").localeCompare(a.createdAt || ""));
+  storage.setItem(KEYS.entries, JSON.stringify(merged));
+}
+
+function migrateHabitsV3(storage) {
+  const habits = loadHabits(storage);
+  if (habits.corrupt) throw new Error(`"${KEYS.habits}" is not valid JSON`);
+  saveHabits(habits.items, storage);
+}
+
+function loadList(storage, key, repair) {
+  const result = { items: [], repaired: 0, dropped: 0, corrupt: false };
+  const raw = storage.getItem(key);
+  if (raw === null || raw === "") return result;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    storage.setItem(KEYS.corrupt, JSON.stringify({ key, raw, savedAt: new Date().toISOString() }));
+    result.corrupt = true;
+    return result;
+  }
+  if (!Array.isArray(parsed)) parsed = parsed && typeof parsed === "object" ? Object.values(parsed) : [];
+
+  parsed.forEach((item) => {
+    const fixed = repair(item);
+    if (!fixed) result.dropped++;
+    else {
+      if (JSON.stringify(fixed) !== JSON.stringify(item)) result.repaired++;
+      result.items.push(fixed);
+    }
+  });
+  return result;
+}
+
+function takeSnapshot(storage, version) {
+  const data = {};
+  TRACKED_KEYS.forEach((key) => (data[key] = storage.getItem(key)));
+  storage.setItem(KEYS.snapshot, JSON.stringify({ version, takenAt: new Date().toISOString(), data }));
+}
+
+function restoreSnapshot(storage) {
+  const snapshot = readJSON(storage, KEYS.snapshot);
+  if (!snapshot) return false;
+  Object.entries(snapshot.data).forEach(([key, value]) => {
+    if (value === null) storage.removeItem(key);
+    else storage.setItem(key, value);
+  });
+  storage.setItem(KEYS.schema, String(snapshot.version));
+  return true;
+}
+
+function readJSON(storage, key) {
+  try {
+    return JSON.parse(storage.getItem(key) || "null");
+  } catch {
+    return null;
+  }
+}
+
+function validDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? value : "";
+}
+
+const EPOCH = new Date(0).toISOString();
+
+function timestamp(value) {
+  return value && !isNaN(Date.parse(value)) ? new Date(value).toISOString() : "";
+}
+
+function count(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function text(value) {
+  return value === undefined || value === null ? "" : String(value);
+}
+
+function toTags(value) {
+  const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [];
+  return [...new Set(list.map((t) => String(t).trim()).filter(Boolean))];
+}
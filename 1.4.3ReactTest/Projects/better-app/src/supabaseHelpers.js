@@ -1,25 +1,19 @@
 // src/supabaseHelpers.js
 import { supabase } from "./supabaseClient";
+import { listSnapshots, loadSnapshot, saveSnapshot } from "./backups";
 
-// Save encrypted data to Supabase
-export async function saveBackup(userId, encryptedPayload) {
-  return supabase
-    .from("progress_backups")
-    .upsert({
-      user_id: userId,
-      encrypted_payload: encryptedPayload,
-      updated_at: new Date(),
-    });
+// Save encrypted data to Supabase as a new snapshot; older ones are kept up to
+// the history limit (see backups.js). `meta` is { entryCount, habitCount, deviceLabel }.
+export async function saveBackup(userId, encryptedPayload, meta = {}) {
+  return saveSnapshot(supabase, { userId, encrypted: encryptedPayload, ...meta });
 }
 
-// Load encrypted data from Supabase
-export async function loadBackup(userId) {
-  const { data, error } = await supabase
-    .from("progress_backups")
-    .select("encrypted_payload")
-    .eq("user_id", userId)
-    .single();
+// Load encrypted data from Supabase: the newest snapshot, or the one with `backupId`
+export async function loadBackup(userId, backupId) {
+  return loadSnapshot(supabase, userId, backupId);
+}
 
-  if (error) throw error;
-  return data.encrypted_payload;
+// Snapshots available to restore, newest first
+export async function listBackups(userId) {
+  return listSnapshots(supabase, userId);
 }
@@ -0,0 +1,101 @@
+// src/tabSync.js
+// Keeps tracker state consistent between tabs. Messages go over a
+// BroadcastChannel, or through a localStorage key (and the `storage` event)
+// in browsers without one. Every message is { topic, from, payload }.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { applyChanges, diffById } from "./records";
+
+const CHANNEL_NAME = "dpt_sync";
+const MESSAGE_KEY = "dpt_sync_message";
+
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function createTabChannel(onMessage) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (e) => onMessage(e.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  const listener = (e) => {
+    if (e.key !== MESSAGE_KEY || !e.newValue) return;
+    try {
+      onMessage(JSON.parse(e.newValue).message);
+    } catch (err) {
+      console.error("ignoring malformed sync message", err);
+    }
+  };
+  window.addEventListener("storage", listener);
+  return {
+    // The nonce makes repeated identical messages still fire `storage`.
+    post: (message) => localStorage.setItem(MESSAGE_KEY, JSON.stringify({ message, nonce: Math.random() })),
+    close: () => window.removeEventListener("storage", listener),
+  };
+}
+
+// Subscribe to messages for `topic` sent by other tabs. Returns a stable
+// function that sends a payload on the same topic.
+export function useTabSync(topic, onMessage) {
+  const handlerRef = useRef(onMessage);
+  const channelRef = useRef(null);
+
+  useEffect(() => {
+    handlerRef.current = onMessage;
+  });
+
+  useEffect(() => {
+    const channel = createTabChannel((message) => {
+      if (message?.topic === topic && message.from !== TAB_ID) handlerRef.current(message.payload);
+    });
+    channelRef.current = channel;
+    return () => channel.close();
+  }, [topic]);
+
+  return useCallback((payload) => channelRef.current?.post({ topic, from: TAB_ID, payload }), [topic]);
+}
+
+// A list of `id`-keyed records persisted synchronously (e.g. habits in
+// localStorage). Each change is merged into what is stored, so additions and
+// deletions from other tabs survive, then sent to the other tabs. `initial`
+// may be a function, as with useState. `onError` gets the error when a save
+// fails (the change is kept and retried with the next one) and null once a
+// save succeeds; without it, save errors are thrown.
+export function useSyncedList(topic, initial, { load, save, onError }) {
+  const [list, setList] = useState(initial);
+  const savedRef = useRef(list);
+  const onErrorRef = useRef(onError);
+
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+
+  const post = useTabSync(topic, ({ put, remove }) => {
+    savedRef.current = applyChanges(savedRef.current, put, remove);
+    setList((current) => applyChanges(current, put, remove));
+  });
+
+  useEffect(() => {
+    if (savedRef.current === list) return;
+    const prev = savedRef.current;
+    const { put, remove } = diffById(prev, list);
+    savedRef.current = list;
+    if (!put.length && !remove.length) return;
+    try {
+      save(applyChanges(load(), put, remove));
+    } catch (e) {
+      if (!onErrorRef.current) throw e;
+      console.error("saving failed", e);
+      savedRef.current = prev;
+      onErrorRef.current(e);
+      return;
+    }
+    post({ put, remove });
+    onErrorRef.current?.(null);
+  }, [list, load, save, post]);
+
+  return [list, setList];
+}
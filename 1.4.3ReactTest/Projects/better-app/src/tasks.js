@@ -0,0 +1,68 @@
+// src/tasks.js
+// Structured task lists inside journal entries. An entry may carry
+// `tasks: [{ id, title, status, estimate, tag, carriedFrom?, carriedTo? }]`; its
+// plannedTasks/completedTasks are then derived from that list. Older entries
+// without tasks keep their numeric counts.
+
+export const TASK_STATUSES = {
+  planned: "Planned",
+  done: "Done",
+  dropped: "Dropped",
+  carried: "Carried over",
+};
+
+export function newTask(title = "", fields = {}) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    title,
+    status: "planned",
+    estimate: null,
+    tag: "",
+    ...fields,
+  };
+}
+
+// Planned counts every task that was not dropped; completed counts done ones.
+export function countTasks(tasks) {
+  return {
+    plannedTasks: tasks.filter((t) => t.status !== "dropped").length,
+    completedTasks: tasks.filter((t) => t.status === "done").length,
+  };
+}
+
+// Tidy a task list from the form: drop blank titles, coerce estimates.
+export function cleanTasks(tasks) {
+  return (tasks || [])
+    .map((t) => ({
+      ...t,
+      title: (t.title || "").trim(),
+      status: TASK_STATUSES[t.status] ? t.status : "planned",
+      estimate: t.estimate === "" || t.estimate === null || t.estimate === undefined ? null : Number(t.estimate) || 0,
+      tag: (t.tag || "").trim(),
+    }))
+    .filter((t) => t.title);
+}
+
+// Most recent entry before `date` that still has planned tasks, and copies of
+// those tasks (new ids, remembering where they came from) for the new day.
+export function findRollover(entries, date) {
+  const source = entries
+    .filter((e) => e.date < date && !e.deletedAt && (e.tasks || []).some((t) => t.status === "planned"))
+    .sort((a, b) => b.date.localeCompare(a.date))[0];
+  if (!source) return null;
+  const planned = source.tasks.filter((t) => t.status === "planned");
+  const tasks = planned.map((t) => newTask(t.title, { estimate: t.estimate, tag: t.tag, carriedFrom: source.date }));
+  // Maps each copy's id to the id of the task it was copied from.
+  const taskIds = Object.fromEntries(tasks.map((t, i) => [t.id, planned[i].id]));
+  return { from: source.date, sourceId: source.id, tasks, taskIds };
+}
+
+// The rollover's source entry once the planned tasks in `ids` have been
+// carried over to `date`, so they are not offered again.
+export function markCarried(entry, date, ids) {
+  return {
+    ...entry,
+    tasks: entry.tasks.map((t) => (t.status === "planned" && ids.includes(t.id) ? { ...t, status: "carried", carriedTo: date } : t)),
+    updatedAt: new Date().toISOString(),
+  };
+}
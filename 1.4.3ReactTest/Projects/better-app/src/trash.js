@@ -0,0 +1,37 @@
+// src/trash.js
+// Soft delete: trashed entries keep a `deletedAt` timestamp until they are
+// restored or purged.
+
+export const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isActive(entry) {
+  return !entry.deletedAt;
+}
+
+export function moveToTrash(entries, id) {
+  const deletedAt = new Date().toISOString();
+  return entries.map((e) => (e.id === id ? { ...e, deletedAt } : e));
+}
+
+export function restoreFromTrash(entries, id) {
+  return entries.map((e) => {
+    if (e.id !== id) return e;
+    const { deletedAt: _deletedAt, ...rest } = e;
+    return rest;
+  });
+}
+
+export function purgeFromTrash(entries, id) {
+  return entries.filter((e) => e.id !== id || isActive(e));
+}
+
+// Drop entries that have been in the trash longer than the retention period.
+export function purgeExpired(entries, now = Date.now()) {
+  const kept = entries.filter((e) => isActive(e) || now - Date.parse(e.deletedAt) < TRASH_RETENTION_DAYS * DAY_MS);
+  return kept.length === entries.length ? entries : kept;
+}
+
+export function daysUntilPurge(entry, now = Date.now()) {
+  return Math.max(0, Math.ceil((Date.parse(entry.deletedAt) + TRASH_RETENTION_DAYS * DAY_MS - now) / DAY_MS));
+}
@@ -0,0 +1,66 @@
+// src/undoHistory.js
+// Undo/redo for a list of records keyed by `id`. Each recorded action keeps
+// the records it changed, as before and after versions, so undo and redo
+// only touch those records: entries added or edited meanwhile (in this tab or
+// another one) are left alone. The stacks live in refs so undo/redo captured
+// by a toast or key handler always act on the latest history.
+
+import { useEffect, useRef, useState } from "react";
+import { applyChanges, diffById } from "./records";
+
+const MAX_HISTORY = 50;
+
+export function useUndoHistory(value, setValue) {
+  const valueRef = useRef(value);
+  const stacks = useRef({ past: [], future: [] });
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    valueRef.current = value;
+  }, [value]);
+
+  function update(past, future, change) {
+    stacks.current = { past, future };
+    setVersion((v) => v + 1);
+    valueRef.current = applyChanges(valueRef.current, change.put, change.remove);
+    setValue((current) => applyChanges(current, change.put, change.remove));
+  }
+
+  // Apply `updater` to the state as an undoable action called `label`.
+  function record(label, updater) {
+    const prev = valueRef.current;
+    const { put, remove } = diffById(prev, updater(prev));
+    const before = new Map(prev.map((e) => [e.id, e]));
+    const undo = {
+      put: [...put.map((e) => e.id), ...remove].map((id) => before.get(id)).filter(Boolean),
+      remove: put.filter((e) => !before.has(e.id)).map((e) => e.id),
+    };
+    const { past } = stacks.current;
+    update([...past, { label, undo, redo: { put, remove } }].slice(-MAX_HISTORY), [], { put, remove });
+  }
+
+  // Both return the label of the action that was undone/redone, or null.
+  function undo() {
+    const { past, future } = stacks.current;
+    if (!past.length) return null;
+    const last = past[past.length - 1];
+    update(past.slice(0, -1), [...future, last], last.undo);
+    return last.label;
+  }
+
+  function redo() {
+    const { past, future } = stacks.current;
+    if (!future.length) return null;
+    const next = future[future.length - 1];
+    update([...past, next], future.slice(0, -1), next.redo);
+    return next.label;
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: stacks.current.past.length > 0,
+    canRedo: stacks.current.future.length > 0,
+  };
+}
@@ -1,7 +1,46 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits sw-precache.js for public/sw.js: every file of the build plus the
+// public files, under a version id derived from their contents. A deploy
+// with any change gives the worker a new precache list, which the browser
+// picks up as a service worker update.
+function precacheManifest() {
+  let publicDir
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256')
+      const built = Object.keys(bundle)
+        .filter((name) => !name.endsWith('.map'))
+        .sort()
+      for (const name of built) {
+        const file = bundle[name]
+        hash.update(name).update(file.type === 'chunk' ? file.code : file.source)
+      }
+      const publicFiles = publicDir
+        ? readdirSync(publicDir).filter((name) => !['sw.js', 'sw-precache.js'].includes(name))
+        : []
+      for (const name of publicFiles) hash.update(name).update(readFileSync(join(publicDir, name)))
+      const files = ['./', ...built.filter((name) => name !== 'index.html'), ...publicFiles]
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw-precache.js',
+        source: `self.PRECACHE = ${JSON.stringify({ version: hash.digest('hex').slice(0, 12), files })};\n`,
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })